@@ -1,22 +1,63 @@
 const dgram = require('dgram');
-const os = require('os');
-const artNet = require('artnet-protocol');
 const storage = require('./storage');
-
-// Get local IP address
-function getLocalIpAddress() {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    for (const iface of interfaces[name]) {
-      // Skip internal and non-IPv4 addresses
-      if (iface.family === 'IPv4' && !iface.internal) {
-        return iface.address;
-      }
-    }
+const settings = require('./settings');
+const groups = require('./groups');
+const { ArtNetReceiver, buildPollReplies } = require('./artnet-receiver');
+const { SacnReceiver } = require('./sacn-receiver');
+const {
+  SOURCE_TIMEOUT,
+  ARTNET_SOURCE_TIMEOUT,
+  DEFAULT_PRIORITY,
+  UniverseMerger
+} = require('./dmx-merge');
+const { getPortAddress, formatUniverse, formatPortAddress } = require('./patch');
+const { readChannels, buildPilotState } = require('./personalities');
+const { CONTROL_CHANNELS, fromControlValues, Effect } = require('./effects');
+const { getCalibration, applyCalibration } = require('./calibration');
+const { getDimmerSettings, clampWizDimming } = require('./dimmer');
+const { getSmoothing, isSnap } = require('./smoothing');
+const { getLocalIpAddress, getLocalMacAddress, resolveInterfaceAddress } = require('./network');
+
+// Read a numeric setting from the environment, falling back to the default when it's unset, not a
+// finite number or below the minimum (anything else could leave a timer spinning)
+function envNumber(name, defaultValue, { min = 0, exclusive = false } = {}) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  const valid = raw !== undefined && raw.trim() !== '' && Number.isFinite(value) &&
+    (exclusive ? value > min : value >= min);
+  if (raw !== undefined && !valid) {
+    console.warn(`Ignoring ${name}=${raw}; using ${defaultValue}`);
   }
-  return '0.0.0.0';
+  return valid ? value : defaultValue;
 }
 
+// Send pipeline tuning
+const MAX_SEND_RATE = envNumber('WIZ_MAX_RATE', 10, { exclusive: true }); // setPilot messages per second per fixture
+const GLOBAL_MAX_SEND_RATE = envNumber('WIZ_GLOBAL_MAX_RATE', 0); // setPilot messages per second across all fixtures (0 = unlimited)
+const SETTLE_TIME = envNumber('WIZ_SETTLE_TIME', 250); // ms to hold back a small change before sending it anyway
+
+// Changes at or below these per-field deltas are held back until the value settles
+const MIN_DELTA = envNumber('WIZ_MIN_DELTA', 2); // color, white and speed channels (0-255)
+const DELTA_THRESHOLDS = {
+  r: MIN_DELTA,
+  g: MIN_DELTA,
+  b: MIN_DELTA,
+  c: MIN_DELTA,
+  w: MIN_DELTA,
+  speed: MIN_DELTA,
+  dimming: envNumber('WIZ_MIN_DIMMING_DELTA', 1),
+  temp: envNumber('WIZ_MIN_TEMP_DELTA', 50)
+};
+
+const FADE_STEP = 100; // ms between steps of a loss-of-signal fade
+const EFFECT_STEP = 100; // ms between effect frames
+const GLIDE_STEP = 1000 / MAX_SEND_RATE; // ms between interpolated smoothing states, as fast as a fixture takes them
+const DMX_EFFECT_ID = 'dmx'; // The effect run from the DMX effect control channels
+const DEVICE_RELOAD_INTERVAL = 60000; // ms between device reloads when running without the server to push changes
+
+// Device fields that change what a fixture is sent for the same DMX
+const OUTPUT_FIELDS = ['type', 'channel', 'net', 'subnet', 'universe', 'group', 'calibration', 'dimmer', 'smoothing'];
+
 // Normalize MAC address to format with colons (e.g., "6c29902a549c" -> "6c:29:90:2a:54:9c")
 function normalizeMacAddress(mac) {
   // Remove any existing separators
@@ -26,18 +67,221 @@ function normalizeMacAddress(mac) {
   return cleaned.match(/.{1,2}/g).join(':');
 }
 
+// Create empty per-fixture queue stats
+function createQueueStats() {
+  return {
+    queued: 0, sent: 0, sendFailures: 0, coalesced: 0, suppressed: 0, retries: 0, verificationFailures: 0,
+    totalQueueLatency: 0
+  };
+}
+
+// Compare two pilot states field by field
+function isSamePilotState(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (a[key] !== b[key]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Which WiZ mode a pilot state uses
+function getPilotMode(pilot) {
+  if (pilot.sceneId !== undefined) return 'scene';
+  if (pilot.temp !== undefined) return 'white';
+  if (pilot.r !== undefined) return 'rgb';
+  return 'dimmer';
+}
+
+// Blend two pilot states for a fade. Dimming always fades (through off if either end is off);
+// colors only blend within the same mode, otherwise they jump to the target at the start.
+function interpolatePilot(from, to, progress) {
+  if (!from || progress >= 1) {
+    return to;
+  }
+
+  const fromDimming = from.state ? from.dimming : 0;
+  const toDimming = to.state ? to.dimming : 0;
+  const dimming = Math.round(fromDimming + (toDimming - fromDimming) * progress);
+  const pilot = { ...to, dimming, state: dimming > 0 };
+
+  if (from.state && getPilotMode(from) === getPilotMode(to)) {
+    ['r', 'g', 'b', 'c', 'w', 'temp'].forEach(field => {
+      if (from[field] !== undefined && to[field] !== undefined) {
+        pilot[field] = Math.round(from[field] + (to[field] - from[field]) * progress);
+      }
+    });
+  }
+
+  return pilot;
+}
+
+// How far a smoothing glide has got at a moment, from 0 to 1
+function getGlideProgress(glide, now) {
+  const duration = glide.endsAt - glide.startedAt;
+  return duration > 0 ? Math.min(1, (now - glide.startedAt) / duration) : 1;
+}
+
+// Apply a partial change (e.g. just dimming, or just a color) to a fixture's current pilot state.
+// Setting a color in another mode switches modes; fields that aren't given keep their current values.
+function applyPilotChanges(current, changes) {
+  const base = current || { dimming: 100, state: true, r: 0, g: 0, b: 0, c: 0, w: 0 };
+  const modeFields = {
+    rgb: ['r', 'g', 'b', 'c', 'w'],
+    white: ['temp'],
+    scene: ['sceneId', 'speed'],
+    dimmer: []
+  };
+
+  let mode = getPilotMode(base);
+  Object.keys(modeFields).forEach(candidate => {
+    if (modeFields[candidate].some(field => changes[field] !== undefined)) {
+      mode = candidate;
+    }
+  });
+
+  const pilot = { dimming: base.dimming, state: base.state };
+  const defaults = { r: 0, g: 0, b: 0, c: 0, w: 0, temp: 4000, sceneId: 1, speed: 100 };
+  modeFields[mode].forEach(field => {
+    if (changes[field] !== undefined) {
+      pilot[field] = changes[field];
+    } else if (mode === getPilotMode(base) && base[field] !== undefined) {
+      pilot[field] = base[field];
+    } else {
+      pilot[field] = defaults[field];
+    }
+  });
+
+  if (changes.dimming !== undefined) {
+    pilot.dimming = changes.dimming;
+    pilot.state = changes.dimming > 0;
+  }
+  if (changes.state !== undefined) {
+    pilot.state = changes.state;
+  }
+
+  // Turning a fixture on that was dimmed to zero brings it up to full
+  if (pilot.state && pilot.dimming === 0) {
+    pilot.dimming = 100;
+  }
+
+  return pilot;
+}
+
+// Check whether a pilot state differs from another only by small amounts
+function isSmallChange(from, to) {
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  for (const key of keys) {
+    if (from[key] === to[key]) {
+      continue;
+    }
+
+    // State, scene and mode changes are never small
+    const threshold = DELTA_THRESHOLDS[key];
+    if (threshold === undefined || from[key] === undefined || to[key] === undefined) {
+      return false;
+    }
+    if (Math.abs(from[key] - to[key]) > threshold) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Build the setPilot params that take a fixture from its previous pilot state to a new one.
+// Sending a sceneId restarts the scene, so while the same scene keeps running only dimming
+// and speed changes are sent. Switching modes sends the full new mode.
+function toSetPilotParams(pilot, previous) {
+  // WiZ has no dimming below 10, so anything that rounds to 0 is off, and off needs nothing else
+  const dimming = clampWizDimming(pilot.dimming);
+  if (!pilot.state || dimming === 0) {
+    return { state: false };
+  }
+
+  const params = {
+    dimming,
+    state: true
+  };
+
+  const mode = getPilotMode(pilot);
+  if (mode === 'scene') {
+    // Dynamic scene mode
+    const sameScene = previous && previous.state && pilot.state && previous.sceneId === pilot.sceneId;
+    if (!sameScene) {
+      params.sceneId = pilot.sceneId;
+    }
+    if (!sameScene || previous.speed !== pilot.speed) {
+      params.speed = pilot.speed;
+    }
+  } else if (mode === 'white') {
+    // Tunable white mode
+    params.temp = pilot.temp;
+  } else if (mode === 'rgb') {
+    // RGB mode
+    params.r = pilot.r;
+    params.g = pilot.g;
+    params.b = pilot.b;
+
+    // Add c (cool white) if non-zero
+    if (pilot.c > 0) {
+      params.c = pilot.c;
+    }
+
+    // Add w (warm white) if non-zero
+    if (pilot.w > 0) {
+      params.w = pilot.w;
+    }
+  }
+
+  return params;
+}
+
 class ArtNetWizBridge {
   constructor() {
     this.devices = [];
     this.udpClient = dgram.createSocket('udp4');
     this.udpClient.setMaxListeners(0); // Remove listener limit
-    this.controller = new artNet.ArtNetController();
+    this.controller = new ArtNetReceiver();
+    this.sacnReceiver = new SacnReceiver();
     this.lastSentDmxValues = {}; // Track last values per fixture to avoid redundant updates
     this.lastReceivedDmxValues = {}; // Track last values per fixture to avoid redundant updates
-    this.messageQueues = {}; // Per-fixture message queues
+    this.pendingMessages = {}; // Per-fixture newest state waiting to be sent
     this.processing = {}; // Per-fixture processing flags
+    this.lastSendTime = {}; // Per-fixture time of the last send, for rate limiting
+    this.lastGlobalSendTime = 0; // Time of the last send to any fixture
+    this.sendTimers = {}; // Per-fixture timers waiting on the rate limit or a settling value
     this.queueStats = {}; // Per-fixture stats
-    this.localIp = getLocalIpAddress();
+    this.universeStats = {}; // Per-universe levels, packet counts and sending console
+    this.monitorEnabled = false; // Publish live monitor snapshots to the server
+    this.lastMonitorTime = Date.now();
+    this.localIp = getLocalIpAddress(); // Address Art-Net and sACN are received on
+    this.wizIp = '0.0.0.0'; // Address the bulbs are talked to from
+    this.nodeSettings = settings.DEFAULT_SETTINGS.node; // Art-Net node identity
+    this.pollReplyCount = 0; // Counter shown in the ArtPollReply node report
+    this.patchedUniverses = ''; // Universes last announced, to re-announce on change
+    this.settings = settings.DEFAULT_SETTINGS; // All settings, including per-universe input protocol
+    this.sacnUniverses = new Map(); // sACN universe -> port-address it feeds
+    this.inputs = {}; // Per-port-address input state: { protocol, merger, activeKeys }
+    this.signals = {}; // Per-port-address signal state: { state, since, action }
+    this.fades = {}; // Fade each fixture is following, keyed by MAC address
+    this.activeScene = null; // Last recalled scene: { id, name, recalledAt }
+    this.sceneFixtures = new Set(); // Fixtures still showing the recalled scene
+    this.groups = []; // Groups, for the effect control target
+    this.effects = new Map(); // Running effects by ID
+    this.effectFixtures = {}; // ID of the effect driving each fixture, keyed by MAC address
+    this.effectRestore = {}; // What each effect fixture showed and had received before the effect took it
+    this.effectFrames = {}; // Last effect frame sent to each fixture
+    this.effectControlValues = ''; // Last effect control channel levels
+    this.channelValues = {}; // Last DMX channel values per fixture, to tell bumps from fades
+    this.glides = {}; // Smoothing glide each fixture is following: { device, from, to, startedAt, endsAt }
+    this.sendIntervals = {}; // Per-fixture least time between sends while natively smoothed
+    this.deviceReload = null; // Device reload under way
+    this.nextDeviceReload = null; // Reload queued behind it for changes pushed meanwhile
 
     this.setupUdpClient();
   }
@@ -67,13 +311,18 @@ class ArtNetWizBridge {
                 `${device.ipAddress} -> ${sourceIp}`
               );
 
-              // Update device in storage
-              try {
-                await storage.update(normalizedMac, { ipAddress: sourceIp });
-                device.ipAddress = sourceIp; // Update in-memory copy
-                console.log(`Updated IP address for ${device.name} in database`);
-              } catch (err) {
-                console.error(`Failed to update IP address for ${device.name}:`, err.message);
+              device.ipAddress = sourceIp; // Update in-memory copy
+
+              // The server is the only writer of the data files when it runs the daemon, so it saves the change
+              if (process.send) {
+                process.send({ type: 'ipChanged', macAddress: normalizedMac, ipAddress: sourceIp });
+              } else {
+                try {
+                  await storage.update(normalizedMac, { ipAddress: sourceIp });
+                  console.log(`Updated IP address for ${device.name} in database`);
+                } catch (err) {
+                  console.error(`Failed to update IP address for ${device.name}:`, err.message);
+                }
               }
             }
           }
@@ -87,132 +336,1019 @@ class ArtNetWizBridge {
       const address = this.udpClient.address();
       console.log(`UDP client listening on ${address.address}:${address.port}`);
     });
-
-    this.udpClient.bind(38899);
   }
 
+  // Load devices and groups, applying the differences per device: new fixtures start from
+  // blackout, re-patched ones follow their new channels from the next DMX frame, removed ones stop,
+  // and everything else keeps its state so nothing is resent.
   async loadDevices() {
     try {
-      const prevCount = this.devices.length
-      this.devices = await storage.readAll();
-      if (this.devices.length !== prevCount) {
-        console.log(`Loaded ${this.devices.length} devices from database`);
-      }
-
-      // Initialize last values and queue structures for each device
-      this.devices.forEach(device => {
-        this.lastReceivedDmxValues[device.macAddress] = { r: 0, g: 0, b: 0, c: 0, w: 0, dimming: 0, state: false };
-        this.lastSentDmxValues[device.macAddress] = { r: 0, g: 0, b: 0, c: 0, w: 0, dimming: 0, state: false };
-        // Initialize queue structures if not already present
-        if (!this.messageQueues[device.macAddress]) {
-          this.messageQueues[device.macAddress] = [];
-          this.processing[device.macAddress] = false;
-          this.queueStats[device.macAddress] = { queued: 0, sent: 0, dropped: 0 };
+      // Members of patched groups follow their group's channels
+      const loadedGroups = await groups.readAll();
+      const loaded = groups.applyGroupPatches(await storage.readAll(), loadedGroups);
+      const previous = new Map(this.devices.map(device => [device.macAddress, device]));
+      this.groups = loadedGroups;
+      this.devices = loaded;
+
+      const changes = { added: 0, repatched: 0, removed: 0 };
+      loaded.forEach(device => {
+        const before = previous.get(device.macAddress);
+        previous.delete(device.macAddress);
+
+        if (!before) {
+          this.addDevice(device);
+          changes.added++;
+        } else if (OUTPUT_FIELDS.some(field => JSON.stringify(before[field]) !== JSON.stringify(device[field]))) {
+          this.resetDmxInput(device);
+          changes.repatched++;
+        } else if (this.glides[device.macAddress]) {
+          // A glide under way carries on to the fixture's current record (e.g. a new IP address)
+          this.glides[device.macAddress].device = device;
         }
       });
+      previous.forEach((device, macAddress) => {
+        this.forgetDevice(macAddress);
+        changes.removed++;
+      });
+
+      if (changes.added || changes.repatched || changes.removed) {
+        console.log(`Loaded ${loaded.length} devices from database ` +
+          `(${changes.added} added, ${changes.repatched} changed, ${changes.removed} removed)`);
+      }
+
+      // Let consoles know when the set of patched universes changes
+      const patchedUniverses = this.getPatchedPortAddresses().join(',');
+      if (patchedUniverses !== this.patchedUniverses) {
+        this.patchedUniverses = patchedUniverses;
+        this.sendPollReplies();
+      }
     } catch (err) {
       console.error('Error loading devices:', err);
     }
   }
 
-  start() {
+  // Reload devices when the server reports a change. Changes pushed while a reload is under way
+  // are picked up by one more reload after it.
+  reloadDevices() {
+    if (!this.deviceReload) {
+      this.deviceReload = this.loadDevices().then(() => {
+        this.deviceReload = null;
+      });
+    } else if (!this.nextDeviceReload) {
+      this.nextDeviceReload = this.deviceReload.then(() => {
+        this.nextDeviceReload = null;
+        return this.reloadDevices();
+      });
+    }
+    return this.nextDeviceReload || this.deviceReload;
+  }
+
+  // Wait for any reload under way, so a command acts on the devices the server just saved
+  whenDevicesLoaded() {
+    return this.nextDeviceReload || this.deviceReload || Promise.resolve();
+  }
+
+  // Set up the send pipeline for a new fixture. One removed and added again keeps its stats and
+  // what it was last sent.
+  addDevice(device) {
+    if (this.queueStats[device.macAddress]) {
+      this.resetDmxInput(device);
+      return;
+    }
+
+    // Start from the all-zero state for the device's personality
+    const blackout = buildPilotState(device, []);
+    this.lastReceivedDmxValues[device.macAddress] = blackout;
+    this.lastSentDmxValues[device.macAddress] = blackout;
+    this.pendingMessages[device.macAddress] = null;
+    this.processing[device.macAddress] = false;
+    this.queueStats[device.macAddress] = createQueueStats();
+  }
+
+  // Forget the DMX a fixture was following, so the next frame is applied in full (as a snap).
+  // What it was last sent is kept, so only a real difference is resent.
+  resetDmxInput(device) {
+    this.cancelGlide(device.macAddress);
+    delete this.lastReceivedDmxValues[device.macAddress];
+    delete this.channelValues[device.macAddress];
+    delete this.sendIntervals[device.macAddress];
+  }
+
+  // Stop everything still headed for a removed fixture
+  forgetDevice(macAddress) {
+    // Effects drop the fixture too, and stop if it was their last one
+    if (this.effectFixtures[macAddress]) {
+      this.releaseFromEffects([macAddress], false);
+      this.publishStatus();
+    }
+    this.cancelFade(macAddress);
+    this.cancelGlide(macAddress);
+    this.sceneFixtures.delete(macAddress);
+    this.pendingMessages[macAddress] = null;
+    delete this.lastReceivedDmxValues[macAddress];
+    delete this.channelValues[macAddress];
+    delete this.sendIntervals[macAddress];
+  }
+
+  async loadSettings() {
+    try {
+      const current = await settings.read();
+      this.settings = current;
+      this.nodeSettings = current.node;
+    } catch (err) {
+      console.error('Error loading settings:', err);
+    }
+  }
+
+  // Pick the interfaces to receive DMX on and to talk to the bulbs from. These are only read at
+  // startup; the server restarts the daemon when they change.
+  configureNetwork() {
+    const { artnetInterface, wizInterface } = this.settings.network;
+
+    const artnetIp = resolveInterfaceAddress(artnetInterface);
+    this.localIp = artnetIp || getLocalIpAddress();
+    if (artnetInterface && !artnetIp) {
+      console.warn(`Art-Net interface ${artnetInterface} is not up, using ${this.localIp}`);
+    }
+
+    const wizIp = resolveInterfaceAddress(wizInterface);
+    this.wizIp = wizIp || '0.0.0.0';
+    if (wizInterface && !wizIp) {
+      console.warn(`WiZ interface ${wizInterface} is not up, using any interface`);
+    }
+  }
+
+  getPatchedPortAddresses() {
+    const portAddresses = this.devices.map(getPortAddress);
+    if (this.settings.effectControl.enabled) {
+      portAddresses.push(getPortAddress(this.settings.effectControl));
+    }
+    return [...new Set(portAddresses)].sort((a, b) => a - b);
+  }
+
+  // Patched universes that take their input from Art-Net
+  getArtNetPortAddresses() {
+    return this.getPatchedPortAddresses()
+      .filter(portAddress => settings.getUniverseInput(this.settings, portAddress).protocol === 'artnet');
+  }
+
+  // Merge options for a universe's input settings
+  getMergeOptions(input) {
+    return {
+      mode: input.merge,
+      preferredSource: input.preferredSource,
+      failoverTimeout: input.failoverTimeout,
+      sourceTimeout: input.protocol === 'sacn' ? SOURCE_TIMEOUT : ARTNET_SOURCE_TIMEOUT
+    };
+  }
+
+  // Apply the per-universe input settings: listen for sACN where configured and update merge modes
+  configureInputs() {
+    this.sacnUniverses = new Map();
+    Object.keys(this.settings.universes).forEach(key => {
+      const portAddress = Number(key);
+      const input = settings.getUniverseInput(this.settings, portAddress);
+      if (input.protocol === 'sacn') {
+        this.sacnUniverses.set(input.sacnUniverse, portAddress);
+      }
+    });
+
+    // Forget sources for universes that switched protocol
+    Object.keys(this.inputs).forEach(key => {
+      const input = settings.getUniverseInput(this.settings, Number(key));
+      if (this.inputs[key].protocol !== input.protocol) {
+        delete this.inputs[key];
+      } else {
+        this.inputs[key].merger.configure(this.getMergeOptions(input));
+      }
+    });
+
+    this.sacnReceiver.listen([...this.sacnUniverses.keys()], this.localIp);
+  }
+
+  // Get (or create) the merge state for a universe
+  getInput(portAddress, protocol) {
+    if (!this.inputs[portAddress]) {
+      const input = settings.getUniverseInput(this.settings, portAddress);
+      this.inputs[portAddress] = {
+        protocol,
+        merger: new UniverseMerger(this.getMergeOptions(input)),
+        activeKeys: ''
+      };
+    }
+    return this.inputs[portAddress];
+  }
+
+
+  // Answer ArtPoll (and announce changes) so consoles can find the bridge
+  sendPollReplies() {
+    const now = Date.now();
+    const activePortAddresses = new Set(
+      Object.keys(this.universeStats)
+        .filter(key => now - this.universeStats[key].lastPacketTime < 5000)
+        .map(Number)
+    );
+
+    this.pollReplyCount = (this.pollReplyCount + 1) % 10000;
+    const counter = String(this.pollReplyCount).padStart(4, '0');
+
+    const replies = buildPollReplies({
+      ipAddress: this.localIp,
+      macAddress: getLocalMacAddress(this.localIp),
+      shortName: this.nodeSettings.shortName,
+      longName: this.nodeSettings.longName,
+      report: `#0001 [${counter}] OK: ${this.devices.length} fixtures, ${activePortAddresses.size} universes receiving`,
+      portAddresses: this.getArtNetPortAddresses(),
+      activePortAddresses
+    });
+
+    replies.forEach(packet => {
+      this.controller.sendBroadcastPacket(packet);
+    });
+  }
+
+  async start() {
     console.log(`Starting Art-Net to WiZ bridge on ${this.localIp}`);
 
-    // Load devices initially
-    this.loadDevices();
+    // Load the node identity, interfaces and input protocols before announcing ourselves
+    await this.loadSettings();
+    this.configureNetwork();
+    this.configureInputs();
+    this.udpClient.bind(38899, this.wizIp);
+
+    // Load devices initially. The server pushes changes as they're saved; on our own, poll for them.
+    this.reloadDevices();
+    if (!process.send) {
+      setInterval(() => {
+        this.reloadDevices();
+      }, DEVICE_RELOAD_INTERVAL);
+    }
 
-    // Reload devices every 60 seconds to pick up changes
+    // Publish queue stats to the server every 5 seconds
     setInterval(() => {
-      this.loadDevices();
-    }, 60000);
-
-    // Log queue stats every 30 seconds
-    // setInterval(() => {
-    //   Object.keys(this.queueStats).forEach(mac => {
-    //     const stats = this.queueStats[mac];
-    //     const queueLength = this.messageQueues[mac] ? this.messageQueues[mac].length : 0;
-    //     if (stats.queued > 10 || stats.dropped > 0 || queueLength > 10) {
-    //       console.log(
-    //         `[Queue Stats] ${mac}: ` +
-    //         `Queued: ${stats.queued}, Sent: ${stats.sent}, Dropped: ${stats.dropped}, ` +
-    //         `Current Queue Length: ${queueLength}`
-    //       );
-    //     }
-    //   });
-    // }, 30000);
+      this.publishStats();
+    }, 5000);
+
+    // Reply to ArtPoll from consoles
+    this.controller.on('poll', () => {
+      this.sendPollReplies();
+    });
 
     // Bind Art-Net controller to local IP
     this.controller.bind(this.localIp);
     console.log(`Art-Net controller bound to ${this.localIp}`);
 
     // Listen for DMX data
-    this.controller.on('dmx', (dmx) => {
-      this.handleDmxData(dmx);
+    this.controller.on('dmx', (dmx, rinfo) => {
+      this.handleArtNetData(dmx, rinfo);
     });
+
+    this.sacnReceiver.on('dmx', (packet, rinfo) => {
+      this.handleSacnData(packet, rinfo);
+    });
+
+    // Expire quiet sources, handle failover and watch for loss of signal
+    setInterval(() => {
+      this.checkSources();
+      this.checkSignals();
+      this.publishStatus();
+    }, 1000);
+
+    // Publish live monitor snapshots to the server
+    setInterval(() => {
+      this.publishMonitor();
+    }, 250);
+
+    // Render running effects
+    setInterval(() => {
+      this.renderEffects();
+    }, EFFECT_STEP);
+
+    // Step smoothing glides
+    setInterval(() => {
+      this.renderGlides();
+    }, GLIDE_STEP);
   }
 
-  handleDmxData(dmx) {
-    if (dmx.universe != 0) {
+  handleArtNetData(dmx, rinfo) {
+    // Ignore Art-Net for universes that take their input from sACN
+    if (settings.getUniverseInput(this.settings, dmx.universe).protocol !== 'artnet') {
       return;
     }
+
+    // Art-Net has no source identity or priority, so consoles are told apart by IP
+    const input = this.getInput(dmx.universe, 'artnet');
+    const data = input.merger.update(rinfo.address, {
+      data: dmx.data,
+      priority: DEFAULT_PRIORITY,
+      address: rinfo.address,
+      name: null
+    });
+
+    this.applyMergedData(dmx.universe, input, data, rinfo);
+  }
+
+  handleSacnData(packet, rinfo) {
+    const portAddress = this.sacnUniverses.get(packet.universe);
+    if (portAddress === undefined) {
+      return;
+    }
+
+    const input = this.getInput(portAddress, 'sacn');
+    const data = packet.terminated
+      ? input.merger.remove(packet.cid)
+      : input.merger.update(packet.cid, {
+        data: packet.data,
+        priority: packet.priority,
+        address: rinfo.address,
+        name: packet.sourceName
+      });
+
+    this.applyMergedData(portAddress, input, data, rinfo);
+  }
+
+  applyMergedData(portAddress, input, data, rinfo) {
+    const activeKeys = input.merger.getActiveKeys().join(',');
+    if (activeKeys !== input.activeKeys) {
+      console.log(`Universe ${formatPortAddress(portAddress)} now following: ${activeKeys || 'no sources'}`);
+      input.activeKeys = activeKeys;
+    }
+
+    // Hold the last look when the final source goes away
+    if (!data) {
+      return;
+    }
+
+    this.handleDmxData({ universe: portAddress, data }, rinfo, input.protocol);
+  }
+
+  // Drop sources that stopped sending, failing over (or back) when the active sources change
+  checkSources() {
+    Object.keys(this.inputs).forEach(key => {
+      const input = this.inputs[key];
+      const expired = input.merger.expire();
+      if (expired || input.merger.getActiveKeys().join(',') !== input.activeKeys) {
+        this.applyMergedData(Number(key), input, input.merger.merge(), null);
+      }
+    });
+  }
+
+  // Get (or create) the signal state for a universe
+  getSignal(portAddress) {
+    if (!this.signals[portAddress]) {
+      this.signals[portAddress] = {
+        state: 'waiting', // No DMX received yet
+        since: null,
+        action: null
+      };
+    }
+    return this.signals[portAddress];
+  }
+
+  // Act on patched universes whose DMX stopped arriving
+  checkSignals() {
+    const now = Date.now();
+
+    this.getPatchedPortAddresses().forEach(portAddress => {
+      const stats = this.universeStats[portAddress];
+      const signal = this.getSignal(portAddress);
+      if (signal.state !== 'ok' || !stats) {
+        return;
+      }
+
+      const input = settings.getUniverseInput(this.settings, portAddress);
+      if (now - stats.lastPacketTime > input.signalTimeout) {
+        this.loseSignal(portAddress, input);
+      }
+    });
+  }
+
+  loseSignal(portAddress, input) {
+    const signal = this.getSignal(portAddress);
+    signal.state = 'lost';
+    signal.since = Date.now();
+    signal.action = input.lossAction;
+
+    const universe = formatPortAddress(portAddress);
+    switch (input.lossAction) {
+      case 'fade':
+        console.warn(`Lost DMX on universe ${universe}, fading to black over ${input.fadeTime}s`);
+        this.fadeToBlack(portAddress, input.fadeTime);
+        break;
+      case 'preset':
+        if (!input.houseLook) {
+          console.warn(`Lost DMX on universe ${universe}, but no house look is stored; holding last look`);
+          break;
+        }
+        console.warn(`Lost DMX on universe ${universe}, recalling house look`);
+        this.applyFixtureLevels(portAddress, input.houseLook);
+        break;
+      default:
+        console.warn(`Lost DMX on universe ${universe}, holding last look`);
+    }
+  }
+
+  // Take back control from the loss-of-signal action when DMX arrives
+  restoreSignal(portAddress) {
+    const signal = this.getSignal(portAddress);
+    if (signal.state === 'lost') {
+      console.log(`DMX restored on universe ${formatPortAddress(portAddress)}`);
+    }
+
+    if (signal.state === 'lost') {
+      // Forget what the loss action sent so the console's look is applied in full
+      this.devices
+        .filter(device => getPortAddress(device) === portAddress)
+        .forEach(device => {
+          this.cancelFade(device.macAddress);
+          delete this.lastReceivedDmxValues[device.macAddress];
+        });
+    }
+
+    if (signal.state !== 'ok') {
+      signal.state = 'ok';
+      signal.since = Date.now();
+      signal.action = null;
+    }
+  }
+
+  // Fade the dimming of every fixture on a universe to zero, keeping their colors
+  fadeToBlack(portAddress, fadeTime) {
+    const targets = this.devices
+      .filter(device => getPortAddress(device) === portAddress && this.lastReceivedDmxValues[device.macAddress])
+      .map(device => ({
+        device,
+        pilot: { ...this.lastReceivedDmxValues[device.macAddress], dimming: 0, state: false }
+      }));
+
+    this.fadeFixtures(targets, fadeTime);
+  }
+
+  // Fade fixtures from what they last showed to new pilot states over fadeTime seconds
+  fadeFixtures(targets, fadeTime) {
+    const fade = { startedAt: Date.now(), duration: fadeTime * 1000, fixtures: [] };
+
+    // Fixtures running an effect stay with it
+    targets = targets.filter(({ device }) => !this.effectFixtures[device.macAddress]);
+    targets.forEach(({ device, pilot }) => {
+      this.cancelGlide(device.macAddress);
+      fade.fixtures.push({ device, from: this.lastSentDmxValues[device.macAddress], to: pilot });
+      this.fades[device.macAddress] = fade;
+    });
+
+    const step = () => {
+      const progress = fade.duration > 0 ? Math.min(1, (Date.now() - fade.startedAt) / fade.duration) : 1;
+
+      // Fixtures taken over by something newer drop out of the fade
+      const fixtures = fade.fixtures.filter(({ device }) => this.fades[device.macAddress] === fade);
+      fixtures.forEach(({ device, from, to }) => {
+        this.enqueueMessage(device, interpolatePilot(from, to, progress));
+      });
+
+      if (progress < 1 && fixtures.length > 0) {
+        setTimeout(step, FADE_STEP);
+      } else {
+        fixtures.forEach(({ device }) => this.cancelFade(device.macAddress));
+      }
+    };
+    step();
+  }
+
+  cancelFade(macAddress) {
+    delete this.fades[macAddress];
+  }
+
+  // Glide a fixture to a new DMX state. A glide already under way is retargeted from wherever it
+  // has got to and keeps its end time, so a console fade is followed rather than held back.
+  glideTo(device, pilot, time) {
+    const now = Date.now();
+    const glide = this.glides[device.macAddress];
+    const gliding = glide && glide.endsAt > now;
+
+    this.glides[device.macAddress] = {
+      device,
+      from: gliding
+        ? interpolatePilot(glide.from, glide.to, getGlideProgress(glide, now))
+        : this.lastSentDmxValues[device.macAddress],
+      to: pilot,
+      startedAt: now,
+      endsAt: gliding ? glide.endsAt : now + time
+    };
+  }
+
+  cancelGlide(macAddress) {
+    delete this.glides[macAddress];
+  }
+
+  // Send the next state of every smoothing glide through the send pipeline
+  renderGlides() {
+    const now = Date.now();
+    Object.values(this.glides).forEach(glide => {
+      const progress = getGlideProgress(glide, now);
+      // Only the state a glide ends on is verified; the ones on the way are replaced straight away
+      this.enqueueMessage(glide.device, interpolatePilot(glide.from, glide.to, progress), 0, progress >= 1);
+      if (progress >= 1) {
+        this.cancelGlide(glide.device.macAddress);
+      }
+    });
+  }
+
+  // Fade the scene's fixtures to their stored states. The scene holds each fixture
+  // until the console changes that fixture's DMX levels (last action wins).
+  recallScene(scene, fadeTime) {
+    const targets = this.devices
+      .filter(device => scene.fixtures[device.macAddress])
+      .map(device => ({ device, pilot: scene.fixtures[device.macAddress] }));
+
+    console.log(`Recalling scene "${scene.name}" on ${targets.length} fixtures over ${fadeTime}s`);
+
+    this.releaseFromEffects(targets.map(({ device }) => device.macAddress), false);
+    this.activeScene = { id: scene.id, name: scene.name, recalledAt: Date.now() };
+    this.sceneFixtures = new Set(targets.map(({ device }) => device.macAddress));
+    this.fadeFixtures(targets, fadeTime);
+  }
+
+  // Change some fields (e.g. color or dimming) of several fixtures at once.
+  // Like scenes, this holds until the console changes the fixture's DMX levels.
+  setFixtures(macAddresses, changes, fadeTime) {
+    const targets = this.devices
+      .filter(device => macAddresses.includes(device.macAddress))
+      .map(device => ({
+        device,
+        pilot: applyPilotChanges(this.lastSentDmxValues[device.macAddress], changes)
+      }));
+
+    targets.forEach(({ device }) => this.sceneFixtures.delete(device.macAddress));
+    this.releaseFromEffects(targets.map(({ device }) => device.macAddress), false);
+    this.fadeFixtures(targets, fadeTime);
+  }
+
+  // A fixture was set directly by the server. Treat that as what it's showing, so
+  // the console takes it back only when the fixture's DMX levels change.
+  setFixtureState(macAddress, pilot) {
+    if (!this.lastSentDmxValues[macAddress]) {
+      return;
+    }
+
+    this.releaseFromEffects([macAddress], false);
+    this.cancelFade(macAddress);
+    this.cancelGlide(macAddress);
+    this.sceneFixtures.delete(macAddress);
+    this.lastSentDmxValues[macAddress] = pilot;
+  }
+
+  // The recalled scene, while it still holds any fixtures
+  getActiveScene() {
+    if (!this.activeScene || this.sceneFixtures.size === 0) {
+      return null;
+    }
+    return { ...this.activeScene, fixtures: [...this.sceneFixtures] };
+  }
+
+  // Publish the sources and signal state of each universe, and the active scene, to the server
+  publishStatus() {
+    if (!process.connected) {
+      return;
+    }
+
+    const portAddresses = new Set([...this.getPatchedPortAddresses(), ...Object.keys(this.inputs).map(Number)]);
+    const universes = [...portAddresses].sort((a, b) => a - b).map(portAddress => {
+      const input = settings.getUniverseInput(this.settings, portAddress);
+      const stats = this.universeStats[portAddress];
+      const signal = this.getSignal(portAddress);
+      return {
+        portAddress,
+        universe: formatPortAddress(portAddress),
+        protocol: input.protocol,
+        merge: input.merge,
+        preferredSource: input.preferredSource,
+        sources: this.inputs[portAddress] ? this.inputs[portAddress].merger.listSources() : [],
+        signal: signal.state,
+        signalSince: signal.since,
+        lossAction: signal.action,
+        lastPacketTime: stats ? stats.lastPacketTime : null,
+        levels: stats ? stats.levels : []
+      };
+    });
+
+    process.send({
+      type: 'status',
+      universes,
+      scene: this.getActiveScene(),
+      effects: [...this.effects.values()].map(effect => effect.describe()),
+      network: { artnetAddress: this.localIp, wizAddress: this.wizIp }
+    });
+  }
+
+  // Start an effect, or change a running one's parameters and fixtures. Fixtures move to the
+  // newest effect that asks for them.
+  startEffect(id, options, macAddresses) {
+    const known = macAddresses.filter(macAddress => this.devices.some(device => device.macAddress === macAddress));
+    if (known.length === 0) {
+      this.stopEffect(id);
+      return;
+    }
+
+    let effect = this.effects.get(id);
+    if (effect) {
+      effect.configure(options);
+      this.releaseFromEffect(effect, effect.macAddresses.filter(macAddress => !known.includes(macAddress)), true);
+      effect.macAddresses = known;
+    } else {
+      effect = new Effect(id, options, known);
+      console.log(`Starting ${options.type} effect on ${known.length} fixtures`);
+    }
+    this.effects.set(id, effect);
+
+    known.forEach(macAddress => {
+      const current = this.effectFixtures[macAddress];
+      if (current === id) {
+        return;
+      }
+
+      // A fixture moving between effects keeps what it showed before the first one
+      const saved = this.effectRestore[macAddress] || {
+        pilot: this.lastSentDmxValues[macAddress],
+        received: this.lastReceivedDmxValues[macAddress]
+      };
+      if (current) {
+        this.releaseFromEffect(this.effects.get(current), [macAddress], false);
+      }
+      this.effectRestore[macAddress] = saved;
+
+      this.cancelFade(macAddress);
+      this.cancelGlide(macAddress);
+      this.sceneFixtures.delete(macAddress);
+      this.effectFixtures[macAddress] = id;
+    });
+
+    this.renderEffects();
+    this.publishStatus();
+  }
+
+  // Stop an effect, handing its fixtures back
+  stopEffect(id) {
+    const effect = this.effects.get(id);
+    if (!effect) {
+      return;
+    }
+
+    console.log(`Stopping ${effect.options.type} effect`);
+    this.releaseFromEffect(effect, [...effect.macAddresses], true);
+    this.effects.delete(id);
+    this.publishStatus();
+  }
+
+  // Take fixtures out of whichever effects are driving them
+  releaseFromEffects(macAddresses, restore) {
+    macAddresses.forEach(macAddress => {
+      const id = this.effectFixtures[macAddress];
+      if (id) {
+        this.releaseFromEffect(this.effects.get(id), [macAddress], restore);
+      }
+    });
+  }
+
+  // Take fixtures out of an effect, stopping it once it has none left. Restored fixtures go back
+  // to the console's levels if those changed during the effect, otherwise to what they showed before.
+  releaseFromEffect(effect, macAddresses, restore) {
+    macAddresses.forEach(macAddress => {
+      const saved = this.effectRestore[macAddress];
+      delete this.effectFixtures[macAddress];
+      delete this.effectRestore[macAddress];
+      delete this.effectFrames[macAddress];
+
+      const device = this.devices.find(d => d.macAddress === macAddress);
+      if (!restore || !saved || !device) {
+        return;
+      }
+
+      const received = this.lastReceivedDmxValues[macAddress];
+      const pilot = isSamePilotState(received, saved.received) ? saved.pilot : received;
+      if (pilot) {
+        this.enqueueMessage(device, pilot);
+      }
+    });
+
+    effect.macAddresses = effect.macAddresses.filter(macAddress => !macAddresses.includes(macAddress));
+    if (effect.macAddresses.length === 0 && this.effects.get(effect.id) === effect) {
+      this.effects.delete(effect.id);
+    }
+  }
+
+  // Send the next frame of every running effect through the send pipeline
+  renderEffects() {
+    const now = Date.now();
+    this.effects.forEach(effect => {
+      const frame = effect.frame(now);
+      Object.entries(frame).forEach(([macAddress, pilot]) => {
+        const device = this.devices.find(d => d.macAddress === macAddress);
+        if (!device || isSamePilotState(this.effectFrames[macAddress], pilot)) {
+          return;
+        }
+
+        this.effectFrames[macAddress] = pilot;
+        // Effect frames are replaced constantly, so turn-offs aren't verified
+        this.enqueueMessage(device, pilot, 0, false);
+      });
+    });
+  }
+
+  // Fixtures the effect control channels drive: the configured group's members in order, or every fixture
+  getEffectControlFixtures() {
+    const { group: groupId } = this.settings.effectControl;
+    if (!groupId) {
+      return this.devices.map(device => device.macAddress);
+    }
+
+    const group = this.groups.find(g => g.id === groupId);
+    return group ? group.members : [];
+  }
+
+  // Pick up changed effect control settings, stopping the DMX effect if control was turned off
+  configureEffectControl() {
+    this.effectControlValues = '';
+    if (!this.settings.effectControl.enabled) {
+      this.stopEffect(DMX_EFFECT_ID);
+    }
+  }
+
+  // Run, change or stop the DMX effect from the effect control channels
+  applyEffectControl(portAddress, data) {
+    const control = this.settings.effectControl;
+    if (!control.enabled || getPortAddress(control) !== portAddress) {
+      return;
+    }
+
+    const values = [];
+    for (let i = 0; i < CONTROL_CHANNELS; i++) {
+      values.push(data[control.channel - 1 + i] || 0);
+    }
+    if (values.join(',') === this.effectControlValues) {
+      return;
+    }
+    this.effectControlValues = values.join(',');
+
+    const options = fromControlValues(values);
+    if (options) {
+      this.startEffect(DMX_EFFECT_ID, options, this.getEffectControlFixtures());
+    } else {
+      this.stopEffect(DMX_EFFECT_ID);
+    }
+  }
+
+  handleDmxData(dmx, rinfo, protocol) {
+    this.recordUniverse(dmx, rinfo, protocol);
+    this.restoreSignal(dmx.universe);
+    this.applyLevels(dmx.universe, dmx.data);
+  }
+
+  // Act on a universe's DMX levels: the effect control channels, then the fixtures patched on it
+  applyLevels(portAddress, data) {
+    this.applyEffectControl(portAddress, data);
+    this.applyFixtureLevels(portAddress, data);
+  }
+
+  // Send a universe's levels to the fixtures patched on it. The house look goes through here alone,
+  // so recalling it never starts or stops the DMX effect.
+  applyFixtureLevels(portAddress, data) {
+    // Only process devices patched on this port-address (net:subnet:universe)
+    const patchedDevices = this.devices.filter(device => getPortAddress(device) === portAddress);
+    if (patchedDevices.length === 0) {
+      return;
+    }
+
+    const input = settings.getUniverseInput(this.settings, portAddress);
+
     // Process each device
-    this.devices.forEach(device => {
-      const channel = device.channel;
-
-      // Get 6 consecutive channels: R, G, B, C, W, Dimmer
-      const r = dmx.data[channel - 1] || 0;
-      const g = dmx.data[channel] || 0;
-      const b = dmx.data[channel + 1] || 0;
-      const c = dmx.data[channel + 2] || 0;
-      const w = dmx.data[channel + 3] || 0;
-      const dimmerRaw = dmx.data[channel + 4] || 0;
-
-      // Convert dimmer from 0-255 to 0-100
-      const dimming = Math.round((dimmerRaw / 255) * 100);
-      const state = dimming > 0;
-
-      // Check if values have changed for this device (comparing against last SENT values)
+    patchedDevices.forEach(device => {
+      // Map the device's channels to a pilot state using its personality
+      const pilot = buildPilotState(device, data, getDimmerSettings(device, this.settings));
+
+      const values = readChannels(device, data);
+      const previousValues = this.channelValues[device.macAddress];
+      this.channelValues[device.macAddress] = values;
+
+      // Check if values have changed for this device (comparing against last RECEIVED values)
       const lastValues = this.lastReceivedDmxValues[device.macAddress];
-      if (lastValues.r === r &&
-          lastValues.g === g &&
-          lastValues.b === b &&
-          lastValues.c === c &&
-          lastValues.w === w &&
-          lastValues.dimming === dimming &&
-          lastValues.state === state) {
+      if (isSamePilotState(lastValues, pilot)) {
         return; // No change, skip update
       }
 
-      // Enqueue message with raw DMX values
-      this.enqueueMessage(device, r, g, b, c, w, dimming, state);
-      this.lastReceivedDmxValues[device.macAddress] = {
-          r: r,
-          g: g,
-          b: b,
-          c: c,
-          w: w,
-          dimming: dimming,
-          state: state
-        };
+      // Effects keep their fixtures; the new levels are picked up when the effect stops
+      if (this.effectFixtures[device.macAddress]) {
+        this.lastReceivedDmxValues[device.macAddress] = pilot;
+        return;
+      }
+
+      // The console takes the fixture back from any fade or scene
+      this.cancelFade(device.macAddress);
+      this.sceneFixtures.delete(device.macAddress);
+
+      // Bumps and blackouts are sent straight away; anything else is smoothed if the fixture asks for it
+      const smoothing = getSmoothing(device, input);
+      const snap = smoothing.mode === 'off' || isSnap(previousValues, values, smoothing.snapThreshold);
+      this.sendIntervals[device.macAddress] = smoothing.mode === 'native' && !snap ? smoothing.time : 0;
+
+      if (smoothing.mode === 'interpolate' && !snap) {
+        this.glideTo(device, pilot, smoothing.time);
+      } else {
+        this.cancelGlide(device.macAddress);
+        this.enqueueMessage(device, pilot);
+      }
+      this.lastReceivedDmxValues[device.macAddress] = pilot;
+    });
+  }
+
+  recordUniverse(dmx, rinfo, protocol) {
+    if (!this.universeStats[dmx.universe]) {
+      this.universeStats[dmx.universe] = {
+        protocol,
+        packets: 0,
+        packetsAtLastPublish: 0,
+        rate: 0,
+        source: null,
+        lastPacketTime: null,
+        levels: []
+      };
+    }
+
+    const stats = this.universeStats[dmx.universe];
+    stats.packets++;
+    stats.protocol = protocol;
+    if (rinfo) {
+      stats.source = rinfo.address;
+    }
+    stats.lastPacketTime = Date.now();
+    stats.levels = dmx.data;
+  }
+
+  handleServerMessage(message) {
+    switch (message.type) {
+      case 'monitor':
+        this.monitorEnabled = message.enabled;
+        break;
+      case 'reloadSettings':
+        this.loadSettings().then(() => {
+          console.log(`Art-Net node name: ${this.nodeSettings.shortName}`);
+          this.configureInputs();
+          this.configureEffectControl();
+          this.sendPollReplies();
+        });
+        break;
+      case 'reloadDevices':
+        this.reloadDevices();
+        break;
+      case 'recallScene':
+        // Let a reload of fixtures the server just saved finish before recalling
+        this.whenDevicesLoaded().then(() => {
+          this.recallScene(message.scene, message.fadeTime);
+        });
+        break;
+      case 'setFixtures':
+        this.whenDevicesLoaded().then(() => {
+          this.setFixtures(message.macAddresses, message.changes, message.fadeTime);
+        });
+        break;
+      case 'startEffect':
+        this.whenDevicesLoaded().then(() => {
+          this.startEffect(message.id, message.effect, message.macAddresses);
+        });
+        break;
+      case 'stopEffect':
+        this.stopEffect(message.id);
+        break;
+      case 'stopAllEffects':
+        [...this.effects.keys()].forEach(id => this.stopEffect(id));
+        break;
+      case 'fixtureState':
+        this.whenDevicesLoaded().then(() => {
+          this.setFixtureState(message.macAddress, message.pilot);
+        });
+        break;
+      case 'resetStats':
+        Object.keys(this.queueStats).forEach(mac => {
+          this.queueStats[mac] = createQueueStats();
+        });
+        console.log('Queue stats reset');
+        this.publishStats();
+        break;
+      default:
+        console.warn(`Unknown message from server: ${message.type}`);
+    }
+  }
+
+  publishMonitor() {
+    const now = Date.now();
+    const elapsed = (now - this.lastMonitorTime) / 1000;
+    this.lastMonitorTime = now;
+
+    // Update packet rates even when nobody is watching so they're correct once someone is
+    const universes = Object.keys(this.universeStats).map(key => {
+      const stats = this.universeStats[key];
+      stats.rate = Math.round((stats.packets - stats.packetsAtLastPublish) / elapsed);
+      stats.packetsAtLastPublish = stats.packets;
+
+      return {
+        portAddress: Number(key),
+        universe: formatPortAddress(Number(key)),
+        protocol: stats.protocol,
+        sources: this.inputs[key] ? this.inputs[key].merger.listSources() : [],
+        packets: stats.packets,
+        rate: stats.rate,
+        source: stats.source,
+        lastPacketTime: stats.lastPacketTime,
+        levels: stats.levels
+      };
+    });
+
+    if (!this.monitorEnabled || !process.connected) {
+      return;
+    }
+
+    const fixtures = this.devices.map(device => ({
+      macAddress: device.macAddress,
+      name: device.name,
+      universe: formatUniverse(device),
+      channel: device.channel,
+      received: this.lastReceivedDmxValues[device.macAddress],
+      sent: this.lastSentDmxValues[device.macAddress]
+    }));
+
+    process.send({ type: 'monitor', time: now, universes, fixtures });
+  }
+
+  publishStats() {
+    if (!process.connected) {
+      return;
+    }
+
+    const fixtures = this.devices.map(device => {
+      const stats = this.queueStats[device.macAddress];
+      return {
+        macAddress: device.macAddress,
+        name: device.name,
+        queued: stats.queued,
+        sent: stats.sent,
+        sendFailures: stats.sendFailures,
+        retries: stats.retries,
+        verificationFailures: stats.verificationFailures,
+        averageQueueLatency: stats.sent > 0 ? Math.round(stats.totalQueueLatency / stats.sent) : null,
+        coalesced: stats.coalesced,
+        suppressed: stats.suppressed,
+        pending: this.pendingMessages[device.macAddress] !== null
+      };
     });
+
+    process.send({ type: 'stats', time: Date.now(), fixtures });
   }
 
-  enqueueMessage(device, r, g, b, c, w, dimming, state, retryCount = 0) {
-    const message = { device, r, g, b, c, w, dimming, state, retryCount };
-    const queue = this.messageQueues[device.macAddress];
+  enqueueMessage(device, pilot, retryCount = 0, verify = true) {
+    const message = { device, pilot, retryCount, verify, enqueuedAt: Date.now(), suppressed: false };
+    const stats = this.queueStats[device.macAddress];
 
-    // Queue size limit to prevent memory issues (drop oldest if > 10)
-    if (queue.length >= 10) {
-      queue.shift(); // Drop oldest message
-      this.queueStats[device.macAddress].dropped++;
-      console.warn(`Queue full for ${device.name}, dropping oldest message`);
+    // Only the newest state matters, so replace anything still waiting to be sent
+    if (this.pendingMessages[device.macAddress]) {
+      stats.coalesced++;
     }
 
-    queue.push(message);
-    this.queueStats[device.macAddress].queued++;
+    this.pendingMessages[device.macAddress] = message;
+    stats.queued++;
 
     // Start processing if not already processing
-    this.processQueue(device.macAddress);
+    this.processPending(device.macAddress);
+  }
+
+  // Time to wait before the per-fixture and global rate limits allow another send. Natively smoothed
+  // fixtures wait longer, so the bulb's own transition to one state finishes before the next is sent.
+  getSendDelay(macAddress) {
+    const now = Date.now();
+    const interval = Math.max(1000 / MAX_SEND_RATE, this.sendIntervals[macAddress] || 0);
+    const fixtureWait = (this.lastSendTime[macAddress] || 0) + interval - now;
+    const globalWait = GLOBAL_MAX_SEND_RATE > 0
+      ? this.lastGlobalSendTime + 1000 / GLOBAL_MAX_SEND_RATE - now
+      : 0;
+    return Math.max(0, fixtureWait, globalWait);
+  }
+
+  // Try again later, keeping whichever scheduled attempt is sooner
+  scheduleProcess(macAddress, delay) {
+    const due = Date.now() + delay;
+    const existing = this.sendTimers[macAddress];
+    if (existing && existing.due <= due) {
+      return;
+    }
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    this.sendTimers[macAddress] = {
+      due,
+      timer: setTimeout(() => {
+        this.sendTimers[macAddress] = null;
+        this.processPending(macAddress);
+      }, delay)
+    };
   }
 
   verifyState(device, expectedState, timeout = 1000) {
@@ -266,56 +1402,83 @@ class ArtNetWizBridge {
     });
   }
 
-  processQueue(macAddress) {
+  processPending(macAddress) {
     // If already processing this fixture, return (will be called after current message completes)
     if (this.processing[macAddress]) {
       return;
     }
 
-    const queue = this.messageQueues[macAddress];
+    const message = this.pendingMessages[macAddress];
 
-    // If queue is empty, nothing to do
-    if (queue.length === 0) {
+    // If nothing is waiting, nothing to do
+    if (!message) {
       return;
     }
 
-    // Mark as processing
-    this.processing[macAddress] = true;
-
-    // Get next message
-    const message = queue.shift();
-
     // Calculate stateChanged based on last SENT state
     const lastSentValues = this.lastSentDmxValues[macAddress];
-    const stateChanged = lastSentValues.state !== message.state;
-    if (lastSentValues.r === message.r &&
-        lastSentValues.g === message.g &&
-        lastSentValues.b === message.b &&
-        lastSentValues.c === message.c &&
-        lastSentValues.w === message.w &&
-        lastSentValues.dimming === message.dimming &&
-        lastSentValues.state === message.state) {
+    const stateChanged = lastSentValues.state !== message.pilot.state;
+    if (isSamePilotState(lastSentValues, message.pilot)) {
+      this.pendingMessages[macAddress] = null;
       return; // No change, skip update
     }
 
+    // Wait for the rate limit
+    const delay = this.getSendDelay(macAddress);
+    if (delay > 0) {
+      this.scheduleProcess(macAddress, delay);
+      return;
+    }
+
+    // Hold back small changes until they add up or the value settles, so fades don't flood the bulb
+    const age = Date.now() - message.enqueuedAt;
+    if (message.retryCount === 0 && age < SETTLE_TIME && isSmallChange(lastSentValues, message.pilot)) {
+      if (!message.suppressed) {
+        message.suppressed = true;
+        this.queueStats[macAddress].suppressed++;
+      }
+      this.scheduleProcess(macAddress, SETTLE_TIME - age);
+      return;
+    }
+
+    // Mark as processing
+    this.processing[macAddress] = true;
+    this.pendingMessages[macAddress] = null;
+    const sentAt = Date.now();
+    this.lastSendTime[macAddress] = sentAt;
+    this.lastGlobalSendTime = sentAt;
+
     // Send message and wait for completion
     this.sendWizCommandQueued(
       message.device,
-      message.r, message.g, message.b,
-      message.c, message.w,
-      message.dimming, message.state, stateChanged,
-      async () => {
+      message.pilot, stateChanged,
+      async (err, sent) => {
         // Callback when send completes
-        this.queueStats[macAddress].sent++;
+        const stats = this.queueStats[macAddress];
+        if (err) {
+          // Leave the last sent state alone so the next update for this fixture is sent in full
+          stats.sendFailures++;
+          this.processing[macAddress] = false;
+          this.processPending(macAddress);
+          return;
+        }
+        if (sent) {
+          stats.sent++;
+          // Time the state waited in the queue (rate limit and settling), not the fixture's response time
+          stats.totalQueueLatency += sentAt - message.enqueuedAt;
+        }
 
         // For critical state changes to OFF, verify the state was actually applied
-        if (stateChanged && !message.state) {
+        if (sent && stateChanged && !message.pilot.state && message.verify) {
           //console.debug(`Verifying turn-off for ${message.device.name}...`);
 
           // Wait a bit for the fixture to process the command
           await new Promise(resolve => setTimeout(resolve, 200));
 
           const verified = await this.verifyState(message.device, false, 1000);
+          if (!verified) {
+            stats.verificationFailures++;
+          }
 
           if (!verified && message.retryCount < 3) {
             console.warn(
@@ -323,15 +1486,14 @@ class ArtNetWizBridge {
               `retrying (attempt ${message.retryCount + 1}/3)`
             );
 
-            // Re-enqueue the message with incremented retry count
+            // Retry with incremented count, unless a newer state is already waiting to be sent
+            stats.retries++;
             this.processing[macAddress] = false;
-            this.enqueueMessage(
-              message.device,
-              message.r, message.g, message.b,
-              message.c, message.w,
-              message.dimming, message.state,
-              message.retryCount + 1
-            );
+            if (this.pendingMessages[macAddress]) {
+              this.processPending(macAddress);
+            } else {
+              this.enqueueMessage(message.device, message.pilot, message.retryCount + 1);
+            }
             return;
           }
 
@@ -347,45 +1509,25 @@ class ArtNetWizBridge {
         this.processing[macAddress] = false;
 
         // Update lastDmxValues to track what was actually sent
-        this.lastSentDmxValues[macAddress] = {
-          r: message.r,
-          g: message.g,
-          b: message.b,
-          c: message.c,
-          w: message.w,
-          dimming: message.dimming,
-          state: message.state
-        };
-
-        // Process next message in queue
-        this.processQueue(macAddress);
+        this.lastSentDmxValues[macAddress] = message.pilot;
+
+        // Send whatever arrived while this message was in flight
+        this.processPending(macAddress);
       }
     );
   }
 
-  sendWizCommandQueued(device, r, g, b, c, w, dimming, state, stateChanged, callback) {
-    if (!state && !stateChanged) {
+  sendWizCommandQueued(device, pilot, stateChanged, callback) {
+    if (!pilot.state && !stateChanged) {
       // Skip sending but still call callback to continue queue processing
-      if (callback) callback();
+      if (callback) callback(null, false);
       return;
     }
-    const params = {
-      r: r,
-      g: g,
-      b: b,
-      dimming: dimming,
-      state: state
-    };
-
-    // Add c (cool white) if non-zero
-    if (c > 0) {
-      params.c = c;
-    }
-
-    // Add w (warm white) if non-zero
-    if (w > 0) {
-      params.w = w;
-    }
+    // Correct for the fixture's calibration on the way out, so everything sent to it is calibrated
+    const params = toSetPilotParams(
+      applyCalibration(pilot, getCalibration(device)),
+      this.lastSentDmxValues[device.macAddress]
+    );
 
     const message = {
       id: 1,
@@ -407,12 +1549,12 @@ class ArtNetWizBridge {
         } else {
           //console.debug(
           //  `Sent to ${device.name} (${device.ipAddress}): ` +
-          //  `RGB(${r}, ${g}, ${b}) C: ${c} W: ${w} Dimming: ${dimming}% State: ${state}`
+          //  `${JSON.stringify(params)}`
           //);
         }
 
-        // Call callback to signal completion
-        if (callback) callback();
+        // Call callback to signal completion, with whether the message went out
+        if (callback) callback(err, !err);
       }
     );
   }
@@ -421,6 +1563,7 @@ class ArtNetWizBridge {
     console.log('Stopping Art-Net to WiZ bridge');
     this.udpClient.close();
     this.controller.close();
+    this.sacnReceiver.close();
   }
 }
 
@@ -428,6 +1571,13 @@ class ArtNetWizBridge {
 const bridge = new ArtNetWizBridge();
 bridge.start();
 
+// Listen for commands from the server when running as its child process
+if (process.send) {
+  process.on('message', (message) => {
+    bridge.handleServerMessage(message);
+  });
+}
+
 // Handle shutdown
 process.on('SIGINT', () => {
   bridge.stop();
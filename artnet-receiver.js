@@ -0,0 +1,83 @@
+const artNet = require('artnet-protocol');
+
+const { ArtDmx, ArtPoll, ArtPollReply, PortInfo, decode } = artNet.protocol;
+
+const ARTNET_PORT = 6454;
+const PROTOCOL_DMX512 = 0x00;
+const PAPA_NETWORK = 0x02; // Port-addresses programmed over the network (our web UI)
+const MAX_PORTS_PER_REPLY = 4;
+
+// Art-Net controller that also reports who sent each packet.
+// The stock controller drops the sender's address, which we need to
+// show the source console and tell multiple consoles apart. It also
+// hands ArtPoll replies to the bridge, which knows the patched universes.
+class ArtNetReceiver extends artNet.ArtNetController {
+  // Called by the stock controller when it binds; let the bridge announce itself
+  sendArtPollReply() {
+    this.emit('poll', null, null);
+  }
+
+  onSocketMessage(socketType, msg, rinfo) {
+    const packet = decode(msg);
+    if (!packet) {
+      return;
+    }
+
+    if (packet instanceof ArtDmx) {
+      this.emit('dmx', packet, rinfo);
+    } else if (packet instanceof ArtPoll) {
+      this.emit('poll', packet, rinfo);
+    }
+  }
+}
+
+// Build the ArtPollReply packets describing this node.
+// Each reply carries up to 4 output ports that share one net/subnet, so a
+// node listening on more universes answers with several replies (bind index 1, 2, ...).
+function buildPollReplies(node) {
+  const { ipAddress, macAddress, shortName, longName, report, portAddresses, activePortAddresses } = node;
+
+  // Group universes by their net/subnet (the top 11 bits of the port-address)
+  const groups = new Map();
+  [...portAddresses].sort((a, b) => a - b).forEach(portAddress => {
+    const netSubnet = portAddress >> 4;
+    if (!groups.has(netSubnet)) groups.set(netSubnet, []);
+    groups.get(netSubnet).push(portAddress);
+  });
+
+  const pages = [];
+  groups.forEach((group, netSubnet) => {
+    for (let i = 0; i < group.length; i += MAX_PORTS_PER_REPLY) {
+      pages.push({ netSubnet, ports: group.slice(i, i + MAX_PORTS_PER_REPLY) });
+    }
+  });
+
+  // Still announce the node when nothing is patched
+  if (pages.length === 0) {
+    pages.push({ netSubnet: 0, ports: [] });
+  }
+
+  return pages.map((page, index) => {
+    const packet = new ArtPollReply(ipAddress, ARTNET_PORT, 0, page.netSubnet >> 4, page.netSubnet & 0xf, 0, 0, page.ports.length);
+    packet.nameShort = shortName.slice(0, 17);
+    packet.nameLong = longName.slice(0, 63);
+    packet.nodeReport = report.slice(0, 63);
+    packet.statusPortAddressProgrammingAuthority = PAPA_NETWORK;
+    packet.macAddress = macAddress;
+    packet.bindIp = ipAddress;
+    packet.bindIndex = index + 1;
+
+    page.ports.forEach((portAddress, port) => {
+      packet.portInfo[port] = new PortInfo(false, true, PROTOCOL_DMX512);
+      packet.outputUniverse[port] = portAddress & 0xf;
+      packet.outputPortStatus[port].dataTransmitted = activePortAddresses.has(portAddress);
+    });
+
+    return packet;
+  });
+}
+
+module.exports = {
+  ArtNetReceiver,
+  buildPollReplies
+};
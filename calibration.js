@@ -0,0 +1,128 @@
+// Per-fixture color calibration, so different WiZ models show the same color for the same cue
+
+const { MIN_TEMP, MAX_TEMP } = require('./personalities');
+
+const COLOR_CHANNELS = ['r', 'g', 'b'];
+
+// Calibration that leaves everything as it is
+const DEFAULT_CALIBRATION = {
+  gain: { r: 1, g: 1, b: 1 }, // Multiplier per color channel
+  offset: { r: 0, g: 0, b: 0 }, // Added to each lit color channel
+  gamma: 1, // Exponent applied to color levels before gain and offset
+  minDimming: 0, // Lowest dimming this fixture visibly lights at; lower non-zero levels are raised to it
+  cct: { warm: MIN_TEMP, cool: MAX_TEMP } // Kelvin sent for the warmest and coolest requested whites
+};
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Fill in defaults for anything a saved calibration leaves out
+function normalizeCalibration(calibration) {
+  const saved = calibration || {};
+  return {
+    gain: { ...DEFAULT_CALIBRATION.gain, ...saved.gain },
+    offset: { ...DEFAULT_CALIBRATION.offset, ...saved.offset },
+    gamma: saved.gamma !== undefined ? saved.gamma : DEFAULT_CALIBRATION.gamma,
+    minDimming: saved.minDimming !== undefined ? saved.minDimming : DEFAULT_CALIBRATION.minDimming,
+    cct: { ...DEFAULT_CALIBRATION.cct, ...saved.cct }
+  };
+}
+
+// Get the calibration a device uses
+function getCalibration(device) {
+  return normalizeCalibration(device.calibration);
+}
+
+// Check a calibration, returning an error message or null if valid
+function validateCalibration(calibration) {
+  if (typeof calibration !== 'object' || calibration === null || Array.isArray(calibration)) {
+    return 'calibration must be an object';
+  }
+
+  const { gain = {}, offset = {}, gamma, minDimming, cct = {} } = calibration;
+  for (const channel of COLOR_CHANNELS) {
+    if (gain[channel] !== undefined && (typeof gain[channel] !== 'number' || gain[channel] < 0 || gain[channel] > 4)) {
+      return `gain.${channel} must be between 0 and 4`;
+    }
+    if (offset[channel] !== undefined &&
+        (!Number.isInteger(offset[channel]) || offset[channel] < -255 || offset[channel] > 255)) {
+      return `offset.${channel} must be between -255 and 255`;
+    }
+  }
+  if (gamma !== undefined && (typeof gamma !== 'number' || gamma < 0.1 || gamma > 5)) {
+    return 'gamma must be between 0.1 and 5';
+  }
+  if (minDimming !== undefined && (!Number.isInteger(minDimming) || minDimming < 0 || minDimming > 100)) {
+    return 'minDimming must be between 0 and 100';
+  }
+  for (const end of ['warm', 'cool']) {
+    if (cct[end] !== undefined && (!Number.isInteger(cct[end]) || cct[end] < MIN_TEMP || cct[end] > MAX_TEMP)) {
+      return `cct.${end} must be between ${MIN_TEMP} and ${MAX_TEMP}`;
+    }
+  }
+
+  return null;
+}
+
+// Correct a pilot state for a fixture before it's sent
+function applyCalibration(pilot, calibration) {
+  const calibrated = { ...pilot };
+
+  if (pilot.r !== undefined) {
+    COLOR_CHANNELS.forEach(channel => {
+      const level = pilot[channel] || 0;
+      if (level === 0) {
+        return; // Channels that are off stay off
+      }
+      const curved = Math.pow(level / 255, calibration.gamma) * 255;
+      calibrated[channel] = clamp(Math.round(curved * calibration.gain[channel] + calibration.offset[channel]), 0, 255);
+    });
+  }
+
+  if (pilot.temp !== undefined) {
+    const { warm, cool } = calibration.cct;
+    const position = (pilot.temp - MIN_TEMP) / (MAX_TEMP - MIN_TEMP);
+    calibrated.temp = clamp(Math.round(warm + (cool - warm) * position), MIN_TEMP, MAX_TEMP);
+  }
+
+  if (pilot.state !== false && pilot.dimming > 0 && pilot.dimming < calibration.minDimming) {
+    calibrated.dimming = calibration.minDimming;
+  }
+
+  return calibrated;
+}
+
+// Undo a fixture's calibration on a state it reported, giving the uncorrected state to store
+// (e.g. in a captured scene). Levels that calibration clamped or raised can't be recovered exactly.
+function removeCalibration(pilot, calibration) {
+  const uncalibrated = { ...pilot };
+
+  if (pilot.r !== undefined) {
+    COLOR_CHANNELS.forEach(channel => {
+      const level = pilot[channel] || 0;
+      const gain = calibration.gain[channel];
+      if (level === 0 || gain === 0) {
+        return;
+      }
+      const curved = clamp((level - calibration.offset[channel]) / gain, 0, 255);
+      uncalibrated[channel] = Math.round(Math.pow(curved / 255, 1 / calibration.gamma) * 255);
+    });
+  }
+
+  if (pilot.temp !== undefined) {
+    const { warm, cool } = calibration.cct;
+    const position = cool === warm ? 0 : (pilot.temp - warm) / (cool - warm);
+    uncalibrated.temp = clamp(Math.round(MIN_TEMP + (MAX_TEMP - MIN_TEMP) * position), MIN_TEMP, MAX_TEMP);
+  }
+
+  return uncalibrated;
+}
+
+module.exports = {
+  normalizeCalibration,
+  getCalibration,
+  validateCalibration,
+  applyCalibration,
+  removeCalibration
+};
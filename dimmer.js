@@ -0,0 +1,81 @@
+// Dimmer curves: how a DMX dimmer level becomes WiZ dimming
+
+// WiZ only accepts dimming 10-100; anything lower has to be sent as off
+const WIZ_MIN_DIMMING = 10;
+const WIZ_MAX_DIMMING = 100;
+
+const DIMMER_CURVES = ['linear', 'square', 's-curve', 'custom'];
+
+// Shape of each built-in curve over 0-1
+const CURVES = {
+  linear: position => position,
+  square: position => position * position,
+  's-curve': position => position * position * (3 - 2 * position)
+};
+
+// Resolve the dimmer settings a device uses: its own overrides on top of the global settings
+function getDimmerSettings(device, settings) {
+  return { ...settings.dimmer, ...device.dimmer };
+}
+
+// Check dimmer settings (global, or a device's overrides), returning an error message or null if valid
+function validateDimmerSettings(dimmer) {
+  if (typeof dimmer !== 'object' || dimmer === null || Array.isArray(dimmer)) {
+    return 'dimmer must be an object';
+  }
+  if (dimmer.curve !== undefined && !DIMMER_CURVES.includes(dimmer.curve)) {
+    return `curve must be one of: ${DIMMER_CURVES.join(', ')}`;
+  }
+  if (dimmer.lut !== undefined && dimmer.lut !== null &&
+      (!Array.isArray(dimmer.lut) || dimmer.lut.length !== 256 ||
+       !dimmer.lut.every(value => Number.isInteger(value) && value >= 0 && value <= 255))) {
+    return 'lut must be null or 256 levels (0-255), one per DMX value';
+  }
+  if (dimmer.floor !== undefined &&
+      (!Number.isInteger(dimmer.floor) || dimmer.floor < WIZ_MIN_DIMMING || dimmer.floor > WIZ_MAX_DIMMING)) {
+    return `floor must be between ${WIZ_MIN_DIMMING} and ${WIZ_MAX_DIMMING}`;
+  }
+  if (dimmer.offThreshold !== undefined &&
+      (!Number.isInteger(dimmer.offThreshold) || dimmer.offThreshold < 0 || dimmer.offThreshold > 254)) {
+    return 'offThreshold must be between 0 and 254';
+  }
+
+  return null;
+}
+
+// Convert a DMX dimmer level (0-255) to WiZ dimming: 0 for off, otherwise floor-100.
+// Levels at or below the off threshold are off; the rest follow the curve from the floor up.
+function toWizDimming(value, dimmer) {
+  const { curve = 'linear', lut = null, floor = WIZ_MIN_DIMMING, offThreshold = 0 } = dimmer;
+  if (value <= offThreshold) {
+    return 0;
+  }
+
+  let level;
+  if (curve === 'custom' && lut) {
+    // The table gives the output level for each DMX value
+    level = lut[value] / 255;
+  } else {
+    const shape = CURVES[curve] || CURVES.linear;
+    level = shape((value - offThreshold) / (255 - offThreshold));
+  }
+
+  return Math.round(floor + (WIZ_MAX_DIMMING - floor) * level);
+}
+
+// Keep dimming sent to a fixture inside what WiZ accepts: off at 0, otherwise at least 10
+function clampWizDimming(dimming) {
+  if (dimming <= 0) {
+    return 0;
+  }
+  return Math.min(WIZ_MAX_DIMMING, Math.max(WIZ_MIN_DIMMING, Math.round(dimming)));
+}
+
+module.exports = {
+  WIZ_MIN_DIMMING,
+  DIMMER_CURVES,
+  getDimmerSettings,
+  validateDimmerSettings,
+  toWizDimming,
+  clampWizDimming
+};
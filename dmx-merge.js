@@ -0,0 +1,176 @@
+// Merging of DMX from several sources sending the same universe
+
+const SOURCE_TIMEOUT = 2500; // E1.31 network data loss timeout
+const ARTNET_SOURCE_TIMEOUT = 10000; // Art-Net merge source timeout
+const FAILOVER_TIMEOUT = 3000; // How long the preferred source can go quiet before others take over
+const DEFAULT_PRIORITY = 100; // sACN default priority, also used for Art-Net sources
+const MERGE_MODES = ['htp', 'ltp', 'preferred'];
+
+// Merges the sources of one universe:
+// - htp: highest level per channel wins
+// - ltp: the most recently changed level per channel wins
+// - preferred: only the preferred source is used; the others are HTP merged while it's quiet
+// sACN priority applies first, so only the highest-priority sources are merged.
+class UniverseMerger {
+  constructor(options = {}) {
+    this.sources = new Map(); // Keyed by source (sACN CID or Art-Net sender IP)
+    this.ltpLevels = null; // Output levels in LTP mode
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    const {
+      mode = 'htp',
+      preferredSource = null,
+      failoverTimeout = FAILOVER_TIMEOUT,
+      sourceTimeout = SOURCE_TIMEOUT
+    } = options;
+
+    // Start LTP from whatever the sources are sending now
+    if (mode === 'ltp' && this.mode !== 'ltp') {
+      this.ltpLevels = null;
+    }
+
+    this.mode = mode;
+    this.preferredSource = preferredSource;
+    this.failoverTimeout = failoverTimeout;
+    this.sourceTimeout = sourceTimeout;
+  }
+
+  // Record a frame from a source and return the merged levels
+  update(key, frame) {
+    const previous = this.sources.get(key);
+    const source = { ...frame, lastSeen: Date.now() };
+
+    if (this.mode === 'ltp') {
+      this.applyLtp(key, previous, source);
+    }
+
+    this.sources.set(key, source);
+    return this.merge();
+  }
+
+  // Take the channels this source changed, unless a higher-priority source is sending
+  applyLtp(key, previous, source) {
+    const others = [...this.sources.entries()].filter(([other]) => other !== key);
+    if (others.some(([, other]) => other.priority > source.priority)) {
+      return;
+    }
+
+    if (!this.ltpLevels) {
+      this.ltpLevels = [];
+    }
+
+    source.data.forEach((value, i) => {
+      if (!previous || previous.data[i] !== value || this.ltpLevels[i] === undefined) {
+        this.ltpLevels[i] = value;
+      }
+    });
+  }
+
+  // Forget a source (e.g. it terminated its stream) and return the merged levels
+  remove(key) {
+    this.sources.delete(key);
+    return this.merge();
+  }
+
+  // Drop sources we haven't heard from within the timeout, returning true if any were dropped
+  expire(now = Date.now()) {
+    let expired = false;
+    this.sources.forEach((source, key) => {
+      // Keep a quiet preferred source until failover so we fail back as soon as it returns
+      const timeout = this.isPreferred(key, source)
+        ? Math.max(this.sourceTimeout, this.failoverTimeout)
+        : this.sourceTimeout;
+
+      if (now - source.lastSeen > timeout) {
+        this.sources.delete(key);
+        expired = true;
+      }
+    });
+
+    if (this.sources.size === 0) {
+      this.ltpLevels = null;
+    }
+    return expired;
+  }
+
+  isPreferred(key, source) {
+    return this.mode === 'preferred' && this.preferredSource !== null &&
+      (key === this.preferredSource || source.address === this.preferredSource);
+  }
+
+  // Keys of the sources that currently make up the output
+  getActiveKeys(now = Date.now()) {
+    let entries = [...this.sources.entries()];
+
+    if (this.mode === 'preferred') {
+      const preferred = entries.find(([key, source]) => this.isPreferred(key, source));
+      if (preferred && now - preferred[1].lastSeen <= this.failoverTimeout) {
+        return [preferred[0]];
+      }
+
+      // Failed over: the backups take over without the preferred source's last levels
+      entries = entries.filter(([key, source]) => !this.isPreferred(key, source));
+    }
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const topPriority = Math.max(...entries.map(([, source]) => source.priority));
+    return entries.filter(([, source]) => source.priority === topPriority).map(([key]) => key);
+  }
+
+  // Merged levels, or null when there are no sources
+  merge() {
+    if (this.sources.size === 0) {
+      return null;
+    }
+
+    if (this.mode === 'ltp' && this.ltpLevels) {
+      return [...this.ltpLevels];
+    }
+
+    // Nothing to follow while only a quiet preferred source is left
+    const winners = this.getActiveKeys().map(key => this.sources.get(key));
+    if (winners.length === 0) {
+      return null;
+    }
+    if (winners.length === 1) {
+      return winners[0].data;
+    }
+
+    const length = Math.max(...winners.map(source => source.data.length));
+    const merged = new Array(length).fill(0);
+    winners.forEach(source => {
+      source.data.forEach((value, i) => {
+        if (value > merged[i]) merged[i] = value;
+      });
+    });
+    return merged;
+  }
+
+  // Describe the current sources for status reporting
+  listSources() {
+    const active = new Set(this.getActiveKeys());
+    return [...this.sources.entries()].map(([key, source]) => ({
+      key,
+      address: source.address,
+      name: source.name,
+      priority: source.priority,
+      lastSeen: source.lastSeen,
+      preferred: this.isPreferred(key, source),
+      active: this.mode === 'ltp' || active.has(key)
+    }));
+  }
+}
+
+module.exports = {
+  SOURCE_TIMEOUT,
+  ARTNET_SOURCE_TIMEOUT,
+  FAILOVER_TIMEOUT,
+  DEFAULT_PRIORITY,
+  MERGE_MODES,
+  UniverseMerger
+};
@@ -0,0 +1,237 @@
+// Software effects: generate pilot states for a set of fixtures over time
+
+const EFFECT_TYPES = ['chase', 'rainbow', 'breathe', 'twinkle', 'strobe'];
+const DIRECTIONS = ['forward', 'reverse', 'bounce'];
+
+// WiZ fixtures don't dim below 10%, so breathe and twinkle bottom out there
+const MIN_DIMMING = 10;
+
+// Strobing faster than this floods the bulbs and looks ragged, so it's the hard limit
+const STROBE_MAX_RATE = 2;
+
+// Allowed rates per effect: chase steps, rainbow/breathe cycles, twinkles or flashes per second
+const RATE_LIMITS = {
+  chase: [0.1, 10],
+  rainbow: [0.01, 2],
+  breathe: [0.05, 2],
+  twinkle: [0.5, 20],
+  strobe: [0.5, STROBE_MAX_RATE]
+};
+
+const DEFAULT_RATES = {
+  chase: 2,
+  rainbow: 0.1,
+  breathe: 0.25,
+  twinkle: 4,
+  strobe: 2
+};
+
+// DMX effect control channels: effect, rate, dimmer, color
+const CONTROL_CHANNELS = 4;
+const CONTROL_EFFECT_STEP = 51; // DMX values per effect on the effect channel (0 stops the effect)
+
+// Check an effect's parameters, returning an error message or null if valid
+function validateEffect(effect) {
+  if (typeof effect !== 'object' || effect === null) {
+    return 'effect must be an object';
+  }
+  if (!EFFECT_TYPES.includes(effect.type)) {
+    return `type must be one of: ${EFFECT_TYPES.join(', ')}`;
+  }
+
+  const [minRate, maxRate] = RATE_LIMITS[effect.type];
+  if (effect.rate !== undefined && (typeof effect.rate !== 'number' || effect.rate < minRate || effect.rate > maxRate)) {
+    return `rate for ${effect.type} must be between ${minRate} and ${maxRate} per second`;
+  }
+  if (effect.dimming !== undefined && (!Number.isInteger(effect.dimming) || effect.dimming < 1 || effect.dimming > 100)) {
+    return 'dimming must be between 1 and 100';
+  }
+  if (effect.color !== undefined) {
+    const color = effect.color;
+    if (typeof color !== 'object' || color === null ||
+      !['r', 'g', 'b'].every(field => Number.isInteger(color[field]) && color[field] >= 0 && color[field] <= 255)) {
+      return 'color must have r, g and b between 0 and 255';
+    }
+  }
+  if (effect.direction !== undefined && !DIRECTIONS.includes(effect.direction)) {
+    return `direction must be one of: ${DIRECTIONS.join(', ')}`;
+  }
+  if (effect.size !== undefined && (!Number.isInteger(effect.size) || effect.size < 1)) {
+    return 'size must be a positive integer';
+  }
+
+  return null;
+}
+
+// Fill in defaults for an effect's parameters
+function normalizeEffect(effect) {
+  return {
+    type: effect.type,
+    rate: effect.rate !== undefined ? effect.rate : DEFAULT_RATES[effect.type],
+    dimming: effect.dimming !== undefined ? effect.dimming : 100,
+    color: effect.color || { r: 255, g: 255, b: 255 },
+    direction: effect.direction || 'forward',
+    size: effect.size || 1
+  };
+}
+
+// Convert a hue (0-1, full saturation and value) to RGB
+function hueToRgb(hue) {
+  const sector = (hue % 1) * 6;
+  const rise = Math.round((sector % 1) * 255);
+  const fall = 255 - rise;
+  const rgb = [
+    [255, rise, 0],
+    [fall, 255, 0],
+    [0, 255, rise],
+    [0, fall, 255],
+    [rise, 0, 255],
+    [255, 0, fall]
+  ][Math.floor(sector)];
+  return { r: rgb[0], g: rgb[1], b: rgb[2] };
+}
+
+// Map effect control channel values to effect parameters, or null when the effect channel is 0
+function fromControlValues(values) {
+  const [effectValue, rateValue, dimmerValue, colorValue] = values;
+  if (!effectValue) {
+    return null;
+  }
+
+  const type = EFFECT_TYPES[Math.min(Math.floor((effectValue - 1) / CONTROL_EFFECT_STEP), EFFECT_TYPES.length - 1)];
+
+  // Rate is logarithmic so the slow end of the fader stays usable
+  const [minRate, maxRate] = RATE_LIMITS[type];
+  const rate = minRate * Math.pow(maxRate / minRate, (rateValue || 0) / 255);
+
+  return {
+    type,
+    rate,
+    dimming: Math.round(((dimmerValue || 0) / 255) * 100),
+    color: colorValue ? hueToRgb((colorValue - 1) / 255) : { r: 255, g: 255, b: 255 },
+    direction: 'forward',
+    size: 1
+  };
+}
+
+// A running effect over an ordered list of fixtures
+class Effect {
+  constructor(id, options, macAddresses) {
+    this.id = id;
+    this.macAddresses = macAddresses;
+    this.phase = 0; // Steps or cycles completed, so rate changes don't make the effect jump
+    this.lastFrameTime = Date.now();
+    this.startedAt = this.lastFrameTime;
+    this.sparkles = {}; // Twinkle: phase each sparkling fixture stops at
+    this.configure(options);
+  }
+
+  configure(options) {
+    this.options = normalizeEffect(options);
+  }
+
+  // Pilot states for every fixture at this moment, keyed by MAC address
+  frame(now = Date.now()) {
+    const previousStep = Math.floor(this.phase);
+    this.phase += ((now - this.lastFrameTime) / 1000) * this.options.rate;
+    this.lastFrameTime = now;
+
+    const { type, dimming, color } = this.options;
+    const floor = Math.min(MIN_DIMMING, dimming);
+    const count = this.macAddresses.length;
+    const step = Math.floor(this.phase);
+    const cycle = this.phase % 1;
+
+    const pilot = (level, on, rgb = color) => ({
+      dimming: level,
+      state: on && level > 0,
+      r: rgb.r,
+      g: rgb.g,
+      b: rgb.b,
+      c: 0,
+      w: 0
+    });
+
+    if (type === 'twinkle' && step !== previousStep) {
+      this.addSparkle(step);
+    }
+
+    const frame = {};
+    this.macAddresses.forEach((macAddress, i) => {
+      switch (type) {
+        case 'chase':
+          frame[macAddress] = pilot(dimming, this.isChaseLit(i, step));
+          break;
+        case 'rainbow':
+          frame[macAddress] = pilot(dimming, true, hueToRgb(cycle + i / count));
+          break;
+        case 'breathe': {
+          const wave = (1 - Math.cos(cycle * 2 * Math.PI)) / 2;
+          frame[macAddress] = pilot(Math.round(floor + (dimming - floor) * wave), true);
+          break;
+        }
+        case 'twinkle':
+          frame[macAddress] = pilot(this.sparkles[macAddress] > this.phase ? dimming : floor, true);
+          break;
+        case 'strobe':
+          frame[macAddress] = pilot(dimming, cycle < 0.5);
+          break;
+      }
+    });
+    return frame;
+  }
+
+  // Whether fixture i is one of the lit fixtures at this chase step
+  isChaseLit(i, step) {
+    const count = this.macAddresses.length;
+    const { direction, size } = this.options;
+
+    let position;
+    if (direction === 'bounce' && count > 1) {
+      const period = 2 * count - 2;
+      const p = step % period;
+      position = p < count ? p : period - p;
+    } else if (direction === 'reverse') {
+      position = count - 1 - (step % count);
+    } else {
+      position = step % count;
+    }
+
+    const distance = direction === 'reverse' ? (position - i + count) % count : (i - position + count) % count;
+    return distance < size;
+  }
+
+  // Start a random fixture sparkling for the next two steps, preferring one that isn't already
+  addSparkle(step) {
+    if (this.macAddresses.length === 0) {
+      return;
+    }
+
+    const idle = this.macAddresses.filter(macAddress => !(this.sparkles[macAddress] > this.phase));
+    const candidates = idle.length > 0 ? idle : this.macAddresses;
+    const macAddress = candidates[Math.floor(Math.random() * candidates.length)];
+    this.sparkles[macAddress] = step + 2;
+  }
+
+  // Describe the effect for status reporting
+  describe() {
+    return {
+      id: this.id,
+      ...this.options,
+      fixtures: this.macAddresses,
+      startedAt: this.startedAt
+    };
+  }
+}
+
+module.exports = {
+  EFFECT_TYPES,
+  DIRECTIONS,
+  STROBE_MAX_RATE,
+  RATE_LIMITS,
+  CONTROL_CHANNELS,
+  validateEffect,
+  normalizeEffect,
+  fromControlValues,
+  Effect
+};
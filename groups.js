@@ -0,0 +1,182 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { withFileLock, migrateRecord, readRecord, readRecords, saveRecord, removeRecord } = require('./json-store');
+
+const GROUPS_DIR = path.join(__dirname, 'data', 'groups');
+const PATCH_FIELDS = ['type', 'channel', 'net', 'subnet', 'universe'];
+
+// Check a stored group, returning an error message or null if valid
+function validateGroup(group) {
+  if (typeof group.id !== 'string' || typeof group.name !== 'string' || typeof group.createdAt !== 'string') {
+    return 'id, name and createdAt are required';
+  }
+  if (!Array.isArray(group.members)) {
+    return 'members must be a list';
+  }
+  if (group.patch !== null && (typeof group.patch !== 'object' || Array.isArray(group.patch))) {
+    return 'patch must be an object or null';
+  }
+  return null;
+}
+
+// Group records are upgraded on read by each migration after the version they were saved with
+const GROUP_SCHEMA = {
+  migrations: [
+    // 1: groups saved before group patching are unpatched
+    group => ({ patch: null, ...group })
+  ],
+  validate: validateGroup
+};
+
+// Ensure groups directory exists
+async function ensureGroupsDir() {
+  await fs.mkdir(GROUPS_DIR, { recursive: true });
+}
+
+// Get file path for a group ID
+function getFilePath(id) {
+  // Only allow the IDs we generate so a request can't point outside the groups directory
+  if (!/^[a-f0-9-]+$/.test(id)) {
+    return null;
+  }
+  return path.join(GROUPS_DIR, `${id}.json`);
+}
+
+// Key a patched group uses in the patch sheet and conflict checks, alongside device MAC addresses
+function getGroupKey(group) {
+  return `group:${group.id}`;
+}
+
+// Find the patched group a device follows, if any
+function findPatchedGroup(macAddress, groups) {
+  return groups.find(group => group.patch && group.members.includes(macAddress)) || null;
+}
+
+// Describe a patched group as a single fixture for the patch sheet and conflict checks
+function toPatchEntry(group, devices) {
+  return {
+    macAddress: getGroupKey(group),
+    ipAddress: '',
+    name: group.name,
+    ...group.patch,
+    members: devices.filter(device => group.members.includes(device.macAddress)).map(device => device.name)
+  };
+}
+
+// Everything that occupies DMX addresses: patched groups, plus devices that don't follow a group
+function getPatchedFixtures(devices, groups) {
+  const patchedGroups = groups.filter(group => group.patch);
+  const ungrouped = devices.filter(device => !findPatchedGroup(device.macAddress, patchedGroups));
+  return [...ungrouped, ...patchedGroups.map(group => toPatchEntry(group, devices))];
+}
+
+// Give members of patched groups their group's patch, so they follow the group's channels
+function applyGroupPatches(devices, groups) {
+  return devices.map(device => {
+    const group = findPatchedGroup(device.macAddress, groups);
+    if (!group) {
+      return device;
+    }
+
+    const patch = {};
+    PATCH_FIELDS.forEach(field => {
+      patch[field] = group.patch[field];
+    });
+    return { ...device, ...patch, group: group.id };
+  });
+}
+
+// Create a new group
+async function create(group) {
+  await ensureGroupsDir();
+
+  const created = {
+    id: crypto.randomUUID(),
+    name: group.name,
+    members: group.members || [],
+    patch: group.patch || null,
+    createdAt: new Date().toISOString()
+  };
+
+  return saveRecord(getFilePath(created.id), created, GROUP_SCHEMA);
+}
+
+// Read a group by ID
+async function read(id) {
+  const filePath = getFilePath(id);
+  if (!filePath) {
+    return null;
+  }
+
+  return readRecord(filePath, GROUP_SCHEMA);
+}
+
+// Read all groups, oldest first, skipping (and reporting) any whose file is corrupt
+async function readAll() {
+  await ensureGroupsDir();
+
+  const groups = await readRecords(GROUPS_DIR, GROUP_SCHEMA);
+  return groups.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Update a group
+async function update(id, updates) {
+  const filePath = getFilePath(id);
+  if (!filePath) {
+    throw new Error('Group not found');
+  }
+
+  return withFileLock(filePath, async () => {
+    const existing = await read(id);
+    if (!existing) {
+      throw new Error('Group not found');
+    }
+
+    return saveRecord(filePath, { ...existing, ...updates, id }, GROUP_SCHEMA);
+  });
+}
+
+// Write a group as given, keeping its ID and replacing any stored one (used when importing a show file)
+async function save(group) {
+  await ensureGroupsDir();
+  const filePath = getFilePath(group.id);
+
+  return withFileLock(filePath, () => saveRecord(filePath, migrateRecord(group, GROUP_SCHEMA), GROUP_SCHEMA));
+}
+
+// Delete a group
+async function remove(id) {
+  const filePath = getFilePath(id);
+  if (!filePath) {
+    return false;
+  }
+
+  return withFileLock(filePath, () => removeRecord(filePath));
+}
+
+// Remove a deleted device from every group
+async function removeMember(macAddress) {
+  const groups = await readAll();
+  for (const group of groups) {
+    if (group.members.includes(macAddress)) {
+      await update(group.id, { members: group.members.filter(member => member !== macAddress) });
+    }
+  }
+}
+
+module.exports = {
+  validateGroup,
+  PATCH_FIELDS,
+  getGroupKey,
+  findPatchedGroup,
+  getPatchedFixtures,
+  applyGroupPatches,
+  create,
+  read,
+  readAll,
+  update,
+  save,
+  remove,
+  removeMember
+};
@@ -0,0 +1,118 @@
+const storage = require('./storage');
+const { sendGetPilot, sendGetSystemConfig } = require('./wiz-client');
+
+const POLL_INTERVAL = 30000; // Time between polling rounds
+const POLL_TIMEOUT = 2000; // How long to wait for each fixture to answer
+
+// Health records keyed by MAC address
+const health = {};
+let pollTimer = null;
+
+// Get (or create) the health record for a device
+function getRecord(macAddress) {
+  if (!health[macAddress]) {
+    health[macAddress] = {
+      online: null, // null until the first poll completes
+      lastSeen: null,
+      lastChecked: null,
+      latency: null,
+      rssi: null,
+      moduleName: null,
+      fwVersion: null,
+      failures: 0
+    };
+  }
+  return health[macAddress];
+}
+
+// Query one device and update its health record
+async function pollDevice(device) {
+  const record = getRecord(device.macAddress);
+  const started = Date.now();
+  record.lastChecked = started;
+
+  try {
+    const pilot = await sendGetPilot(device.ipAddress, POLL_TIMEOUT);
+    const now = Date.now();
+
+    if (record.online === false) {
+      console.log(`${device.name} (${device.ipAddress}) is back online`);
+    }
+
+    record.online = true;
+    record.lastSeen = now;
+    record.latency = now - started;
+    record.rssi = pilot.rssi !== undefined ? pilot.rssi : null;
+    record.failures = 0;
+  } catch (err) {
+    if (record.online !== false) {
+      console.warn(`${device.name} (${device.ipAddress}) is offline: ${err.message}`);
+    }
+
+    record.online = false;
+    record.failures++;
+    return;
+  }
+
+  // Module name and firmware rarely change, so only ask once
+  if (!record.moduleName) {
+    try {
+      const config = await sendGetSystemConfig(device.ipAddress, POLL_TIMEOUT);
+      record.moduleName = config.moduleName || null;
+      record.fwVersion = config.fwVersion || null;
+    } catch (err) {
+      // Try again on the next round
+    }
+  }
+}
+
+// Poll every stored device one at a time so bulbs aren't flooded
+async function pollAll() {
+  try {
+    const devices = await storage.readAll();
+
+    // Forget devices that have been deleted
+    const macs = new Set(devices.map(d => d.macAddress));
+    Object.keys(health).forEach(mac => {
+      if (!macs.has(mac)) delete health[mac];
+    });
+
+    for (const device of devices) {
+      await pollDevice(device);
+    }
+  } catch (err) {
+    console.error('Error polling device health:', err.message);
+  }
+}
+
+// Start polling in the background, waiting a full interval after each round finishes
+function startHealthPoller(interval = POLL_INTERVAL) {
+  const run = async () => {
+    await pollAll();
+    pollTimer = setTimeout(run, interval);
+  };
+  run();
+}
+
+function stopHealthPoller() {
+  clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+// Get the health record for a device
+function getHealth(macAddress) {
+  return getRecord(macAddress);
+}
+
+// Get all health records keyed by MAC address
+function getAllHealth() {
+  return health;
+}
+
+module.exports = {
+  startHealthPoller,
+  stopHealthPoller,
+  pollDevice,
+  getHealth,
+  getAllHealth
+};
@@ -0,0 +1,188 @@
+// Identifying fixtures: flashing one, or walking through a room one fixture at a time
+
+const { sendGetPilot, sendSetPilot } = require('./wiz-client');
+
+const WALK_IDLE_TIMEOUT = 10 * 60 * 1000; // A walk nobody has touched for this long ends and restores its fixtures
+
+const COLOR_FIELDS = ['r', 'g', 'b'];
+
+// Check identify settings, returning an error message or null if valid
+function validateIdentifySettings(identify) {
+  if (typeof identify !== 'object' || identify === null || Array.isArray(identify)) {
+    return 'identify must be an object';
+  }
+  const isLevel = value => Number.isInteger(value) && value >= 0 && value <= 255;
+  for (const field of ['color', 'backgroundColor']) {
+    const color = identify[field];
+    if (color !== undefined &&
+        (typeof color !== 'object' || color === null || !COLOR_FIELDS.every(channel => isLevel(color[channel])))) {
+      return `${field} must have r, g and b between 0 and 255`;
+    }
+  }
+  for (const field of ['dimming', 'backgroundDimming']) {
+    const value = identify[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 10 || value > 100)) {
+      return `${field} must be between 10 and 100`;
+    }
+  }
+  if (identify.duration !== undefined &&
+      (typeof identify.duration !== 'number' || identify.duration < 1 || identify.duration > 60)) {
+    return 'duration must be between 1 and 60 seconds';
+  }
+
+  return null;
+}
+
+// setPilot params that light a fixture in a color
+function toColorParams(color, dimming) {
+  return { r: color.r, g: color.g, b: color.b, dimming, state: true };
+}
+
+// Build setPilot params that put a fixture back the way getPilot found it
+function toRestoreParams(currentState) {
+  const restoreParams = {
+    state: currentState.state || false
+  };
+
+  // Restore color settings if they exist
+  if (currentState.r !== undefined) restoreParams.r = currentState.r;
+  if (currentState.g !== undefined) restoreParams.g = currentState.g;
+  if (currentState.b !== undefined) restoreParams.b = currentState.b;
+  if (currentState.c !== undefined) restoreParams.c = currentState.c;
+  if (currentState.w !== undefined) restoreParams.w = currentState.w;
+  if (currentState.dimming !== undefined) restoreParams.dimming = currentState.dimming;
+  if (currentState.temp !== undefined) restoreParams.temp = currentState.temp;
+  if (currentState.sceneId !== undefined) restoreParams.sceneId = currentState.sceneId;
+
+  return restoreParams;
+}
+
+// Identify a device by flashing it in the identify color for the identify duration
+async function identifyDevice(device, identify) {
+  try {
+    console.log(`Starting identify for ${device.name} (${device.ipAddress})`);
+
+    // Get current state
+    const currentState = await sendGetPilot(device.ipAddress);
+    console.log(`Current state for ${device.name}:`, currentState);
+
+    // Flash the identify color
+    await sendSetPilot(device.ipAddress, toColorParams(identify.color, identify.dimming));
+
+    console.log(`${device.name} flashing for ${identify.duration}s...`);
+
+    await new Promise(resolve => setTimeout(resolve, identify.duration * 1000));
+
+    // Restore original state
+    await sendSetPilot(device.ipAddress, toRestoreParams(currentState));
+
+    console.log(`${device.name} restored to original state`);
+  } catch (err) {
+    console.error(`Failed to identify ${device.name}:`, err.message);
+    throw err;
+  }
+}
+
+// Walk through fixtures one at a time: the current one lit in the identify color, the rest dimmed
+// in the background color. Every fixture's state is captured at the start and restored at the end.
+class IdentifyWalk {
+  constructor(devices, identify, onIdle) {
+    this.devices = devices;
+    this.identify = identify;
+    this.onIdle = onIdle; // Called when the walk has been left alone too long
+    this.index = 0;
+    this.originals = {}; // getPilot state of each fixture before the walk, keyed by MAC address
+    this.startedAt = Date.now();
+    this.idleTimer = null;
+  }
+
+  // Capture every fixture's state, then light the first one and dim the rest
+  async start() {
+    await Promise.all(this.devices.map(async device => {
+      try {
+        this.originals[device.macAddress] = await sendGetPilot(device.ipAddress);
+      } catch (err) {
+        console.warn(`Identify walk couldn't read ${device.name}; it won't be restored: ${err.message}`);
+      }
+    }));
+
+    const { backgroundColor, backgroundDimming } = this.identify;
+    await Promise.all(this.devices
+      .filter((device, i) => i !== this.index)
+      .map(device => this.send(device, toColorParams(backgroundColor, backgroundDimming))));
+    await this.show(this.index);
+  }
+
+  // Move the light to the fixture at index (wrapping around), dimming the one that was lit
+  async show(index) {
+    const count = this.devices.length;
+    const next = ((index % count) + count) % count;
+    const { color, dimming, backgroundColor, backgroundDimming } = this.identify;
+
+    if (next !== this.index) {
+      await this.send(this.devices[this.index], toColorParams(backgroundColor, backgroundDimming));
+    }
+    this.index = next;
+    await this.send(this.devices[this.index], toColorParams(color, dimming));
+    this.touch();
+  }
+
+  next() {
+    return this.show(this.index + 1);
+  }
+
+  previous() {
+    return this.show(this.index - 1);
+  }
+
+  // Jump to a fixture by MAC address; returns false if it isn't part of the walk
+  async select(macAddress) {
+    const index = this.devices.findIndex(device => device.macAddress === macAddress);
+    if (index === -1) {
+      return false;
+    }
+    await this.show(index);
+    return true;
+  }
+
+  // Put every fixture back the way the walk found it
+  async stop() {
+    clearTimeout(this.idleTimer);
+    await Promise.all(this.devices
+      .filter(device => this.originals[device.macAddress])
+      .map(device => this.send(device, toRestoreParams(this.originals[device.macAddress]))));
+  }
+
+  // Send to a fixture; a bulb that doesn't take it shouldn't stop the walk
+  async send(device, params) {
+    try {
+      await sendSetPilot(device.ipAddress, params);
+    } catch (err) {
+      console.error(`Identify walk failed to set ${device.name}:`, err.message);
+    }
+  }
+
+  // Restart the idle timeout
+  touch() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.onIdle(), WALK_IDLE_TIMEOUT);
+  }
+
+  // Describe the walk for the API, with the current fixture as stored now (it may have been renamed or re-patched)
+  describe(storedDevices) {
+    const current = this.devices[this.index];
+    return {
+      index: this.index,
+      count: this.devices.length,
+      fixtures: this.devices.map(device => device.macAddress),
+      current: storedDevices.find(device => device.macAddress === current.macAddress) || current,
+      startedAt: this.startedAt
+    };
+  }
+}
+
+module.exports = {
+  validateIdentifySettings,
+  identifyDevice,
+  IdentifyWalk
+};
@@ -0,0 +1,191 @@
+// Crash-safe JSON record files shared by the device, group, scene and settings storage:
+// atomic writes, per-file write queues, schema versions with migrations, and skipping corrupt files
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Files that couldn't be read, keyed by path. They're left on disk untouched for recovery.
+const problems = new Map();
+
+// Pending writes per file, so read-modify-write updates in one process don't interleave
+const queues = new Map();
+
+let tempCounter = 0;
+
+// Run fn once everything queued before it on the same file has finished
+function withFileLock(filePath, fn) {
+  const previous = queues.get(filePath) || Promise.resolve();
+  const run = previous.then(fn);
+  const settled = run.catch(() => {});
+  queues.set(filePath, settled);
+  settled.then(() => {
+    if (queues.get(filePath) === settled) {
+      queues.delete(filePath);
+    }
+  });
+  return run;
+}
+
+// Write JSON to a temporary file, flush it to disk and rename it over the original.
+// A power cut leaves either the old file or the new one, never a truncated one.
+async function writeJson(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${tempCounter++}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(data, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+// Bring a record up to its schema's version. schema.migrations[n] turns a version n record into
+// version n + 1; records saved before versioning are version 0.
+function migrateRecord(record, schema) {
+  const version = record.schemaVersion || 0;
+  const current = schema.migrations.length;
+  if (version > current) {
+    throw new Error(`schema version ${version} is newer than this controller supports (${current})`);
+  }
+
+  let migrated = record;
+  for (let step = version; step < current; step++) {
+    migrated = schema.migrations[step](migrated);
+  }
+  return { ...migrated, schemaVersion: current };
+}
+
+// Stamp a record with its schema's current version before it's written
+function stampRecord(record, schema) {
+  return { ...record, schemaVersion: schema.migrations.length };
+}
+
+// Note a file that couldn't be read, warning once per distinct error
+function reportProblem(filePath, err) {
+  const previous = problems.get(filePath);
+  if (!previous || previous.error !== err.message) {
+    console.warn(`Skipping ${filePath}: ${err.message}`);
+  }
+  problems.set(filePath, {
+    file: path.relative(__dirname, filePath),
+    error: err.message,
+    detectedAt: previous && previous.error === err.message ? previous.detectedAt : new Date().toISOString()
+  });
+}
+
+// Whether a file is currently known to be unreadable
+function hasProblem(filePath) {
+  return problems.has(filePath);
+}
+
+// Forget a file's problem once it reads cleanly again (or has been replaced)
+function clearProblem(filePath) {
+  problems.delete(filePath);
+}
+
+// Read one record, migrated and checked against its schema. Returns null if the file doesn't exist
+// and throws (reporting the file) if it's unreadable, corrupt or invalid.
+async function readRecord(filePath, schema) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      clearProblem(filePath);
+      return null;
+    }
+    reportProblem(filePath, err);
+    throw err;
+  }
+
+  try {
+    const parsed = JSON.parse(data);
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('not a JSON object');
+    }
+    const record = migrateRecord(parsed, schema);
+    const error = schema.validate(record);
+    if (error) {
+      throw new Error(error);
+    }
+    clearProblem(filePath);
+    return record;
+  } catch (err) {
+    reportProblem(filePath, err);
+    throw new Error(`${path.basename(filePath)} is corrupt: ${err.message}`);
+  }
+}
+
+// Write a record stamped with its schema's current version, refusing (by throwing) one that fails the
+// schema's check rather than writing a file readRecord would skip. Call it inside the file's lock.
+async function saveRecord(filePath, record, schema) {
+  const saved = stampRecord(record, schema);
+  const error = schema.validate(saved);
+  if (error) {
+    throw new Error(error);
+  }
+  await writeJson(filePath, saved);
+  return saved;
+}
+
+// Delete a record's file, returning whether there was one. Call it inside the file's lock.
+async function removeRecord(filePath) {
+  try {
+    await fs.unlink(filePath);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+}
+
+// Read every record in a directory, skipping (and reporting) files that can't be read
+async function readRecords(dir, schema) {
+  const files = await fs.readdir(dir);
+  const records = [];
+
+  for (const file of files) {
+    if (file.endsWith('.json')) {
+      try {
+        const record = await readRecord(path.join(dir, file), schema);
+        if (record) {
+          records.push(record);
+        }
+      } catch {
+        // Already reported
+      }
+    }
+  }
+
+  // Forget problems with files that have since been removed
+  for (const filePath of problems.keys()) {
+    if (path.dirname(filePath) === dir && !files.includes(path.basename(filePath))) {
+      clearProblem(filePath);
+    }
+  }
+
+  return records;
+}
+
+// Files skipped because they couldn't be read, oldest first
+function listProblems() {
+  return [...problems.values()].sort((a, b) => a.detectedAt.localeCompare(b.detectedAt));
+}
+
+module.exports = {
+  withFileLock,
+  writeJson,
+  migrateRecord,
+  stampRecord,
+  reportProblem,
+  hasProblem,
+  clearProblem,
+  readRecord,
+  readRecords,
+  saveRecord,
+  removeRecord,
+  listProblems
+};
@@ -0,0 +1,101 @@
+// Network interface helpers shared by the server and the Art-Net daemon
+
+const os = require('os');
+
+const LIMITED_BROADCAST = '255.255.255.255';
+
+// Check for a dotted-quad IPv4 address
+function isIpv4Address(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  const parts = value.split('.');
+  return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+}
+
+// Convert between dotted-quad and 32-bit unsigned integer IPv4 addresses
+function toInteger(address) {
+  return address.split('.').reduce((value, part) => ((value << 8) | Number(part)) >>> 0, 0);
+}
+
+function fromInteger(value) {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+}
+
+// Directed broadcast address of a subnet, e.g. 192.168.1.20/255.255.255.0 -> 192.168.1.255
+function getBroadcastAddress(address, netmask) {
+  return fromInteger((toInteger(address) | ~toInteger(netmask)) >>> 0);
+}
+
+// List the machine's external IPv4 interfaces with their directed broadcast addresses
+function listInterfaces() {
+  const interfaces = os.networkInterfaces();
+  const list = [];
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family === 'IPv4' && !iface.internal) {
+        list.push({
+          name,
+          address: iface.address,
+          netmask: iface.netmask,
+          broadcast: getBroadcastAddress(iface.address, iface.netmask),
+          mac: iface.mac
+        });
+      }
+    }
+  }
+  return list;
+}
+
+// Get local IP address
+function getLocalIpAddress() {
+  const [first] = listInterfaces();
+  return first ? first.address : '0.0.0.0';
+}
+
+// Resolve a configured interface (an interface name or one of its IPv4 addresses) to its address.
+// Returns null when nothing is configured or the interface isn't up.
+function resolveInterfaceAddress(value) {
+  if (!value) {
+    return null;
+  }
+  const iface = listInterfaces().find(candidate => candidate.name === value || candidate.address === value);
+  return iface ? iface.address : null;
+}
+
+// Get the MAC address of the interface with the given IP address
+function getLocalMacAddress(ipAddress) {
+  const iface = listInterfaces().find(candidate => candidate.address === ipAddress);
+  return iface ? iface.mac : '00:00:00:00:00:00';
+}
+
+// Check network settings, returning an error message or null if valid
+function validateNetworkSettings(network) {
+  if (typeof network !== 'object' || network === null || Array.isArray(network)) {
+    return 'network must be an object';
+  }
+  for (const field of ['artnetInterface', 'wizInterface']) {
+    const value = network[field];
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.trim() === '')) {
+      return `${field} must be an interface name, an IPv4 address or null`;
+    }
+  }
+  if (network.discoveryBroadcasts !== undefined &&
+      (!Array.isArray(network.discoveryBroadcasts) || network.discoveryBroadcasts.length > 16 ||
+       !network.discoveryBroadcasts.every(isIpv4Address))) {
+    return 'discoveryBroadcasts must be a list of up to 16 IPv4 broadcast addresses';
+  }
+
+  return null;
+}
+
+module.exports = {
+  LIMITED_BROADCAST,
+  isIpv4Address,
+  getBroadcastAddress,
+  listInterfaces,
+  getLocalIpAddress,
+  resolveInterfaceAddress,
+  getLocalMacAddress,
+  validateNetworkSettings
+};
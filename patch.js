@@ -0,0 +1,168 @@
+// DMX patch helpers shared by the server and the Art-Net daemon
+
+const { getPersonality, getPersonalityKey, getFootprint, getChannelLabel } = require('./personalities');
+
+const UNIVERSE_SIZE = 512;
+const MAX_NET = 127;
+const MAX_SUBNET = 15;
+const MAX_UNIVERSE = 15;
+
+// Get the Art-Net net/subnet/universe of a device (older records default to 0:0:0)
+function getUniverseFields(device) {
+  return {
+    net: device.net || 0,
+    subnet: device.subnet || 0,
+    universe: device.universe || 0
+  };
+}
+
+// Combine net, subnet and universe into the 15-bit Art-Net port-address
+function getPortAddress(device) {
+  const { net, subnet, universe } = getUniverseFields(device);
+  return (net << 8) | (subnet << 4) | universe;
+}
+
+// Format a device's universe as "net:subnet:universe" for display
+function formatUniverse(device) {
+  const { net, subnet, universe } = getUniverseFields(device);
+  return `${net}:${subnet}:${universe}`;
+}
+
+// Format a 15-bit port-address as "net:subnet:universe" for display
+function formatPortAddress(portAddress) {
+  return `${portAddress >> 8}:${(portAddress >> 4) & 0xf}:${portAddress & 0xf}`;
+}
+
+// Validate universe fields, returning an error message or null if valid
+function validateUniverseFields(fields) {
+  const limits = { net: MAX_NET, subnet: MAX_SUBNET, universe: MAX_UNIVERSE };
+
+  for (const key of Object.keys(limits)) {
+    const value = fields[key];
+    if (value === undefined) continue;
+
+    if (!Number.isInteger(value) || value < 0 || value > limits[key]) {
+      return `${key} must be an integer between 0 and ${limits[key]}`;
+    }
+  }
+
+  return null;
+}
+
+// Get the first and last DMX address a device occupies
+function getAddressRange(device) {
+  return {
+    start: device.channel,
+    end: device.channel + getFootprint(device) - 1
+  };
+}
+
+// Validate a device's start channel against the universe size, returning an error message or null if valid
+function validateAddressRange(device) {
+  if (!Number.isInteger(device.channel) || device.channel < 1) {
+    return 'channel must be an integer between 1 and 512';
+  }
+
+  const { end } = getAddressRange(device);
+  if (end > UNIVERSE_SIZE) {
+    return `Channel ${device.channel} with a ${getFootprint(device)}-channel footprint runs past ${UNIVERSE_SIZE}`;
+  }
+
+  return null;
+}
+
+// Check whether two devices share any DMX addresses on the same universe
+function overlaps(a, b) {
+  if (getPortAddress(a) !== getPortAddress(b)) {
+    return false;
+  }
+
+  const rangeA = getAddressRange(a);
+  const rangeB = getAddressRange(b);
+  return rangeA.start <= rangeB.end && rangeB.start <= rangeA.end;
+}
+
+// Find devices whose patch overlaps the given device (ignoring the device itself)
+function findConflicts(device, devices) {
+  return devices.filter(other => other.macAddress !== device.macAddress && overlaps(device, other));
+}
+
+// Find the first start channel (from startChannel up) where a device fits on its universe without
+// overlapping any of the given devices. Returns null if the universe has no room left.
+function findFreeChannel(device, devices, startChannel = 1) {
+  const footprint = getFootprint(device);
+  for (let channel = startChannel; channel + footprint - 1 <= UNIVERSE_SIZE; channel++) {
+    if (findConflicts({ ...device, channel }, devices).length === 0) {
+      return channel;
+    }
+  }
+  return null;
+}
+
+// Build the patch sheet: one row per device (or patched group), ordered by universe and address
+function buildPatchSheet(devices) {
+  const sorted = [...devices].sort((a, b) =>
+    (getPortAddress(a) - getPortAddress(b)) || (a.channel - b.channel)
+  );
+
+  return sorted.map(device => {
+    const { start, end } = getAddressRange(device);
+    return {
+      macAddress: device.macAddress,
+      ipAddress: device.ipAddress,
+      name: device.name,
+      personality: getPersonalityKey(device),
+      universe: formatUniverse(device),
+      portAddress: getPortAddress(device),
+      start,
+      end,
+      channels: getPersonality(device).channels.map((func, offset) => ({
+        address: start + offset,
+        function: getChannelLabel(func)
+      })),
+      conflicts: findConflicts(device, devices).map(other => other.macAddress),
+      members: device.members || []
+    };
+  });
+}
+
+// Quote a value for CSV output
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render a patch sheet as CSV
+function patchSheetToCsv(sheet) {
+  const header = ['Universe', 'Port-Address', 'Start', 'End', 'Name', 'MAC Address', 'IP Address', 'Personality', 'Channels', 'Conflicts', 'Members'];
+  const rows = sheet.map(row => [
+    row.universe,
+    row.portAddress,
+    row.start,
+    row.end,
+    row.name,
+    row.macAddress,
+    row.ipAddress,
+    row.personality,
+    row.channels.map(ch => `${ch.address} ${ch.function}`).join('; '),
+    row.conflicts.join('; '),
+    row.members.join('; ')
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  UNIVERSE_SIZE,
+  getUniverseFields,
+  getPortAddress,
+  formatUniverse,
+  formatPortAddress,
+  validateUniverseFields,
+  getAddressRange,
+  validateAddressRange,
+  findConflicts,
+  findFreeChannel,
+  buildPatchSheet,
+  patchSheetToCsv
+};
@@ -0,0 +1,183 @@
+// DMX personalities: how a fixture's channels map to WiZ setPilot params
+
+const { toWizDimming } = require('./dimmer');
+
+// WiZ color temperature range in Kelvin
+const MIN_TEMP = 2200;
+const MAX_TEMP = 6500;
+
+// WiZ dynamic scene IDs and speed range
+const MAX_SCENE_ID = 32;
+const MIN_SPEED = 10;
+const MAX_SPEED = 200;
+
+// DMX values per WiZ scene on the scene channel (0 leaves scene mode)
+const SCENE_DMX_STEP = 8;
+
+// Names of the WiZ dynamic scenes, by scene ID
+const WIZ_SCENES = [
+  'Ocean', 'Romance', 'Sunset', 'Party', 'Fireplace', 'Cozy', 'Forest', 'Pastel Colors',
+  'Wake Up', 'Bedtime', 'Warm White', 'Daylight', 'Cool White', 'Night Light', 'Focus', 'Relax',
+  'True Colors', 'TV Time', 'Plant Growth', 'Spring', 'Summer', 'Fall', 'Deep Dive', 'Jungle',
+  'Mojito', 'Club', 'Christmas', 'Halloween', 'Candlelight', 'Golden White', 'Pulse', 'Steampunk'
+];
+
+const PERSONALITIES = {
+  'dimmer': {
+    label: '1ch Dimmer',
+    channels: ['dimmer']
+  },
+  'dimmer-cct': {
+    label: '2ch Dimmer + CCT',
+    channels: ['dimmer', 'cct']
+  },
+  'rgb-dim': {
+    label: '4ch RGB + Dimmer',
+    channels: ['red', 'green', 'blue', 'dimmer']
+  },
+  'rgbcw-dim': {
+    label: '6ch RGBCW + Dimmer',
+    channels: ['red', 'green', 'blue', 'cool', 'warm', 'dimmer']
+  },
+  'rgbcw-dim-scene': {
+    label: '8ch RGBCW + Dimmer + Scene/Speed',
+    channels: ['red', 'green', 'blue', 'cool', 'warm', 'dimmer', 'scene', 'speed']
+  },
+  'rgbcw-dim-cct-scene': {
+    label: '9ch RGBCW + Dimmer + CCT + Scene/Speed',
+    channels: ['red', 'green', 'blue', 'cool', 'warm', 'dimmer', 'cct', 'scene', 'speed']
+  }
+};
+
+// Human-readable names for channel functions
+const CHANNEL_LABELS = {
+  red: 'Red',
+  green: 'Green',
+  blue: 'Blue',
+  cool: 'Cool White',
+  warm: 'Warm White',
+  dimmer: 'Dimmer',
+  cct: 'CCT',
+  scene: 'Scene',
+  speed: 'Speed'
+};
+
+// Used for devices whose type isn't a known personality (e.g. records created before personalities existed)
+const DEFAULT_PERSONALITY = 'rgbcw-dim';
+
+// Check whether a type names a known personality
+function isPersonality(type) {
+  return Object.prototype.hasOwnProperty.call(PERSONALITIES, type);
+}
+
+// Get the personality key a device uses
+function getPersonalityKey(device) {
+  return isPersonality(device.type) ? device.type : DEFAULT_PERSONALITY;
+}
+
+// Get the personality a device uses
+function getPersonality(device) {
+  return PERSONALITIES[getPersonalityKey(device)];
+}
+
+// Number of DMX channels a device occupies
+function getFootprint(device) {
+  return getPersonality(device).channels.length;
+}
+
+// Get the display name of a channel function
+function getChannelLabel(func) {
+  return CHANNEL_LABELS[func] || func;
+}
+
+// List all personalities for the API/UI
+function listPersonalities() {
+  return Object.keys(PERSONALITIES).map(key => ({
+    key,
+    label: PERSONALITIES[key].label,
+    channels: PERSONALITIES[key].channels,
+    footprint: PERSONALITIES[key].channels.length
+  }));
+}
+
+// DMX values on the scene channel that select a WiZ scene
+function getSceneDmxRange(sceneId) {
+  const from = (sceneId - 1) * SCENE_DMX_STEP + 1;
+  return [from, Math.min(from + SCENE_DMX_STEP - 1, 255)];
+}
+
+// WiZ scene selected by a scene channel value, or null for 0 (no scene)
+function getSceneId(value) {
+  if (!value) {
+    return null;
+  }
+  return Math.min(Math.floor((value - 1) / SCENE_DMX_STEP) + 1, MAX_SCENE_ID);
+}
+
+// List the WiZ dynamic scenes, with the scene channel values that select them, for the API/UI
+function listWizScenes() {
+  return WIZ_SCENES.map((name, i) => ({ id: i + 1, name, dmx: getSceneDmxRange(i + 1) }));
+}
+
+// Read a device's channel values from a DMX buffer, keyed by channel function
+function readChannels(device, data) {
+  const values = {};
+  getPersonality(device).channels.forEach((func, offset) => {
+    values[func] = data[device.channel - 1 + offset] || 0;
+  });
+  return values;
+}
+
+// Convert a device's DMX channel values into the WiZ pilot state to send,
+// mapping the dimmer through the device's dimmer curve
+function buildPilotState(device, data, dimmer = {}) {
+  const values = readChannels(device, data);
+
+  const dimming = toWizDimming(values.dimmer, dimmer);
+  const pilot = { dimming, state: dimming > 0 };
+
+  // A non-zero scene channel selects a WiZ dynamic scene, which takes priority over color
+  const sceneId = getSceneId(values.scene);
+  if (sceneId) {
+    pilot.sceneId = sceneId;
+    pilot.speed = MIN_SPEED + Math.round(((values.speed || 0) / 255) * (MAX_SPEED - MIN_SPEED));
+    return pilot;
+  }
+
+  const colorChannels = ['red', 'green', 'blue', 'cool', 'warm'];
+  const hasColor = colorChannels.some(channel => values[channel] !== undefined);
+
+  // CCT drives tunable white. Alongside color channels, CCT 0 hands over to the color channels.
+  if (values.cct !== undefined && (!hasColor || values.cct > 0)) {
+    const level = hasColor ? (values.cct - 1) / 254 : values.cct / 255;
+    pilot.temp = MIN_TEMP + Math.round(level * (MAX_TEMP - MIN_TEMP));
+    return pilot;
+  }
+
+  // Dimmer-only personalities leave the fixture's color alone
+  if (!hasColor) {
+    return pilot;
+  }
+
+  pilot.r = values.red || 0;
+  pilot.g = values.green || 0;
+  pilot.b = values.blue || 0;
+  pilot.c = values.cool || 0;
+  pilot.w = values.warm || 0;
+  return pilot;
+}
+
+module.exports = {
+  MIN_TEMP,
+  MAX_TEMP,
+  DEFAULT_PERSONALITY,
+  isPersonality,
+  getPersonalityKey,
+  getPersonality,
+  getFootprint,
+  listPersonalities,
+  listWizScenes,
+  getChannelLabel,
+  readChannels,
+  buildPilotState
+};
@@ -0,0 +1,158 @@
+const dgram = require('dgram');
+const EventEmitter = require('events');
+
+const SACN_PORT = 5568;
+const ACN_PACKET_IDENTIFIER = Buffer.from('ASC-E1.17\0\0\0', 'ascii');
+const VECTOR_ROOT_E131_DATA = 0x00000004;
+const VECTOR_E131_DATA_PACKET = 0x00000002;
+const VECTOR_DMP_SET_PROPERTY = 0x02;
+const OPTION_PREVIEW_DATA = 0x80;
+const OPTION_STREAM_TERMINATED = 0x40;
+
+// Multicast group for an sACN universe (239.255.{hi}.{lo})
+function getMulticastAddress(universe) {
+  return `239.255.${universe >> 8}.${universe & 0xff}`;
+}
+
+// Decode an E1.31 data packet, returning null for anything else
+function decodeSacnPacket(msg) {
+  if (msg.length < 126) {
+    return null;
+  }
+
+  // Root layer
+  if (!msg.subarray(4, 16).equals(ACN_PACKET_IDENTIFIER) || msg.readUInt32BE(18) !== VECTOR_ROOT_E131_DATA) {
+    return null;
+  }
+
+  // Framing layer
+  if (msg.readUInt32BE(40) !== VECTOR_E131_DATA_PACKET) {
+    return null;
+  }
+
+  // DMP layer
+  if (msg.readUInt8(117) !== VECTOR_DMP_SET_PROPERTY) {
+    return null;
+  }
+
+  const options = msg.readUInt8(112);
+  const propertyCount = msg.readUInt16BE(123);
+  const values = msg.subarray(125, Math.min(msg.length, 125 + propertyCount));
+
+  return {
+    cid: msg.subarray(22, 38).toString('hex'),
+    sourceName: msg.toString('utf-8', 44, 108).replace(/\0.*$/, ''),
+    priority: msg.readUInt8(108),
+    sequence: msg.readUInt8(111),
+    preview: (options & OPTION_PREVIEW_DATA) !== 0,
+    terminated: (options & OPTION_STREAM_TERMINATED) !== 0,
+    universe: msg.readUInt16BE(113),
+    startCode: values[0],
+    data: Array.from(values.subarray(1))
+  };
+}
+
+// Receives sACN (E1.31) on multicast and unicast.
+// Emits 'dmx' with the decoded packet and the sender's address info.
+class SacnReceiver extends EventEmitter {
+  constructor() {
+    super();
+    this.socket = null;
+    this.bound = false;
+    this.wanted = new Set(); // Universes we should be listening to
+    this.universes = new Set(); // Universes whose multicast groups we've joined
+    this.interfaceAddress = undefined;
+  }
+
+  // Listen for the given sACN universes, joining or leaving multicast groups as needed
+  listen(universes, interfaceAddress) {
+    this.wanted = new Set(universes);
+
+    if (this.wanted.size === 0) {
+      this.close();
+      return;
+    }
+
+    this.interfaceAddress = interfaceAddress && interfaceAddress !== '0.0.0.0' ? interfaceAddress : undefined;
+
+    if (!this.socket) {
+      this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      this.socket.on('error', (err) => {
+        console.error(`sACN receiver error: ${err.message}`);
+      });
+
+      this.socket.on('message', (msg, rinfo) => {
+        const packet = decodeSacnPacket(msg);
+
+        // Ignore preview data and non-zero start codes (e.g. per-address priority)
+        if (!packet || packet.preview || packet.startCode !== 0) {
+          return;
+        }
+
+        this.emit('dmx', packet, rinfo);
+      });
+
+      this.socket.bind(SACN_PORT, () => {
+        console.log(`sACN receiver listening on port ${SACN_PORT}`);
+        this.bound = true;
+        this.updateMemberships();
+      });
+      return;
+    }
+
+    this.updateMemberships();
+  }
+
+  updateMemberships() {
+    const wanted = this.wanted;
+
+    // Memberships can only change once the socket is bound
+    if (!this.socket || !this.bound) {
+      return;
+    }
+
+    this.universes.forEach(universe => {
+      if (!wanted.has(universe)) {
+        this.dropMembership(universe);
+      }
+    });
+
+    wanted.forEach(universe => {
+      if (!this.universes.has(universe)) {
+        try {
+          this.socket.addMembership(getMulticastAddress(universe), this.interfaceAddress);
+          this.universes.add(universe);
+        } catch (err) {
+          console.error(`Failed to join sACN universe ${universe}: ${err.message}`);
+        }
+      }
+    });
+  }
+
+  dropMembership(universe) {
+    try {
+      this.socket.dropMembership(getMulticastAddress(universe), this.interfaceAddress);
+    } catch (err) {
+      // Already left
+    }
+    this.universes.delete(universe);
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+      this.bound = false;
+      this.universes.clear();
+      console.log('sACN receiver stopped');
+    }
+  }
+}
+
+module.exports = {
+  SACN_PORT,
+  getMulticastAddress,
+  decodeSacnPacket,
+  SacnReceiver
+};
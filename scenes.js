@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { withFileLock, migrateRecord, readRecord, readRecords, saveRecord, removeRecord } = require('./json-store');
+const { MIN_TEMP, MAX_TEMP } = require('./personalities');
+
+const SCENES_DIR = path.join(__dirname, 'data', 'scenes');
+
+// Check a stored scene, returning an error message or null if valid
+function validateScene(scene) {
+  if (typeof scene.id !== 'string' || typeof scene.name !== 'string' || typeof scene.createdAt !== 'string') {
+    return 'id, name and createdAt are required';
+  }
+  if (typeof scene.fixtures !== 'object' || scene.fixtures === null || Array.isArray(scene.fixtures)) {
+    return 'fixtures must be an object keyed by MAC address';
+  }
+  return null;
+}
+
+// Scene records are upgraded on read by each migration after the version they were saved with
+const SCENE_SCHEMA = {
+  migrations: [
+    // 1: scenes saved before fade times recall at once
+    scene => ({ fadeTime: 0, ...scene })
+  ],
+  validate: validateScene
+};
+
+// Ensure scenes directory exists
+async function ensureScenesDir() {
+  await fs.mkdir(SCENES_DIR, { recursive: true });
+}
+
+// Get file path for a scene ID
+function getFilePath(id) {
+  // Only allow the IDs we generate so a request can't point outside the scenes directory
+  if (!/^[a-f0-9-]+$/.test(id)) {
+    return null;
+  }
+  return path.join(SCENES_DIR, `${id}.json`);
+}
+
+// Check one fixture's state in a scene, returning an error message or null if valid
+function validateFixtureState(state) {
+  if (typeof state !== 'object' || state === null) {
+    return 'must be an object';
+  }
+
+  const ranges = {
+    dimming: [0, 100],
+    r: [0, 255],
+    g: [0, 255],
+    b: [0, 255],
+    c: [0, 255],
+    w: [0, 255],
+    temp: [MIN_TEMP, MAX_TEMP],
+    sceneId: [1, 32],
+    speed: [10, 200]
+  };
+
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    const value = state[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      return `${field} must be between ${min} and ${max}`;
+    }
+  }
+
+  if (state.state !== undefined && typeof state.state !== 'boolean') {
+    return 'state must be true or false';
+  }
+  const colorModes = [
+    ['r', 'g', 'b', 'c', 'w'].some(field => state[field] !== undefined),
+    state.temp !== undefined,
+    state.sceneId !== undefined
+  ];
+  if (colorModes.filter(Boolean).length > 1) {
+    return 'RGB, temp and sceneId cannot be combined';
+  }
+
+  return null;
+}
+
+// Build the pilot state a scene stores for a fixture (RGB, white or WiZ scene mode)
+function toPilotState(state) {
+  const dimming = state.dimming !== undefined ? state.dimming : 100;
+  const pilot = {
+    dimming,
+    state: state.state !== undefined ? state.state : dimming > 0
+  };
+
+  if (state.sceneId) {
+    pilot.sceneId = state.sceneId;
+    pilot.speed = state.speed !== undefined ? state.speed : 100;
+  } else if (state.temp) {
+    pilot.temp = state.temp;
+  } else {
+    pilot.r = state.r || 0;
+    pilot.g = state.g || 0;
+    pilot.b = state.b || 0;
+    pilot.c = state.c || 0;
+    pilot.w = state.w || 0;
+  }
+
+  return pilot;
+}
+
+// Create a new scene
+async function create(scene) {
+  await ensureScenesDir();
+
+  const created = {
+    id: crypto.randomUUID(),
+    name: scene.name,
+    fadeTime: scene.fadeTime || 0,
+    fixtures: scene.fixtures || {},
+    createdAt: new Date().toISOString()
+  };
+
+  return saveRecord(getFilePath(created.id), created, SCENE_SCHEMA);
+}
+
+// Read a scene by ID
+async function read(id) {
+  const filePath = getFilePath(id);
+  if (!filePath) {
+    return null;
+  }
+
+  return readRecord(filePath, SCENE_SCHEMA);
+}
+
+// Read all scenes, oldest first, skipping (and reporting) any whose file is corrupt
+async function readAll() {
+  await ensureScenesDir();
+
+  const scenes = await readRecords(SCENES_DIR, SCENE_SCHEMA);
+  return scenes.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Update a scene
+async function update(id, updates) {
+  const filePath = getFilePath(id);
+  if (!filePath) {
+    throw new Error('Scene not found');
+  }
+
+  return withFileLock(filePath, async () => {
+    const existing = await read(id);
+    if (!existing) {
+      throw new Error('Scene not found');
+    }
+
+    return saveRecord(filePath, { ...existing, ...updates, id }, SCENE_SCHEMA);
+  });
+}
+
+// Write a scene as given, keeping its ID and replacing any stored one (used when importing a show file)
+async function save(scene) {
+  await ensureScenesDir();
+  const filePath = getFilePath(scene.id);
+
+  return withFileLock(filePath, () => saveRecord(filePath, migrateRecord(scene, SCENE_SCHEMA), SCENE_SCHEMA));
+}
+
+// Delete a scene
+async function remove(id) {
+  const filePath = getFilePath(id);
+  if (!filePath) {
+    return false;
+  }
+
+  return withFileLock(filePath, () => removeRecord(filePath));
+}
+
+module.exports = {
+  validateScene,
+  validateFixtureState,
+  toPilotState,
+  create,
+  read,
+  readAll,
+  update,
+  save,
+  remove
+};
@@ -1,9 +1,37 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const storage = require('./storage');
-const { discoverWizFixtures } = require('./wiz-discovery');
+const settings = require('./settings');
+const scenes = require('./scenes');
+const groups = require('./groups');
+const effects = require('./effects');
+const calibration = require('./calibration');
+const { validateDimmerSettings, clampWizDimming } = require('./dimmer');
+const { validateSmoothing } = require('./smoothing');
+const { MERGE_MODES } = require('./dmx-merge');
+const {
+  getPortAddress,
+  validateUniverseFields,
+  validateAddressRange,
+  findConflicts,
+  findFreeChannel,
+  buildPatchSheet,
+  patchSheetToCsv
+} = require('./patch');
+const { isPersonality, getPersonalityKey, getFootprint, listPersonalities, listWizScenes } = require('./personalities');
+const {
+  getMacKey, formatMacAddress, discoverWizFixtures, addSystemConfig, reconcileDiscovery
+} = require('./wiz-discovery');
+const { listInterfaces, resolveInterfaceAddress, validateNetworkSettings } = require('./network');
+const { validateIdentifySettings, identifyDevice, IdentifyWalk } = require('./identify');
+const {
+  IMPORT_MODES, buildShowFile, validateShowFile, normalizeShowFile, getImportedRig, diffShowFile
+} = require('./showfile');
+const { sendGetPilot, sendSetPilot } = require('./wiz-client');
+const { startHealthPoller, pollDevice, getHealth, getAllHealth } = require('./health');
+const { listProblems } = require('./json-store');
 const { spawn } = require('child_process');
-const dgram = require('dgram');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,99 +42,1274 @@ let restartCount = 0;
 let lastRestartTime = null;
 const MAX_RESTART_DELAY = 60000; // 60 seconds max backoff
 
-// Middleware
-app.use(express.json());
+// Web clients streaming the live DMX monitor
+const monitorClients = new Set();
+
+// The identify walk in progress, if any
+let identifyWalk = null;
+
+// Latest per-fixture queue stats published by the daemon
+let daemonStats = null;
+
+// Latest universe sources, signal states and active scene published by the daemon
+let daemonStatus = null;
+
+// Fixture state fields accepted by manual control and group set
+const STATE_FIELDS = ['state', 'dimming', 'r', 'g', 'b', 'c', 'w', 'temp', 'sceneId', 'speed'];
+
+// How long a fixture gets to apply a setPilot before we read its state back
+const CONFIRM_DELAY = 200;
+
+// Middleware (show files with many scenes are bigger than the default 100kb limit)
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-// API Routes
+// Add personality and health details to a device for API responses
+function describeDevice(device) {
+  return {
+    ...device,
+    personality: getPersonalityKey(device),
+    footprint: getFootprint(device),
+    calibration: calibration.getCalibration(device),
+    health: getHealth(device.macAddress)
+  };
+}
+
+// Check a device's (or patched group's) patch against the rest of the rig.
+// groupList replaces the stored groups, so a group being saved is checked with its new members.
+// Returns { status, body } describing the error, or null if the patch is valid.
+async function checkPatch(device, allowOverlap, groupList) {
+  const rangeError = validateAddressRange(device);
+  if (rangeError) {
+    return { status: 400, body: { error: rangeError } };
+  }
+
+  const allGroups = groupList || await groups.readAll();
+
+  // Devices following a patched group don't use their own addresses
+  if (allowOverlap || groups.findPatchedGroup(device.macAddress, allGroups)) {
+    return null;
+  }
+
+  const conflicts = findConflicts(device, groups.getPatchedFixtures(await storage.readAll(), allGroups));
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      body: {
+        error: `Channels overlap with ${conflicts.map(d => d.name).join(', ')}`,
+        conflicts: conflicts.map(d => d.macAddress)
+      }
+    };
+  }
+
+  return null;
+}
+
+// Validate the Art-Net node identity, returning an error message or null if valid
+function validateNodeSettings(node) {
+  const limits = { shortName: 17, longName: 63 };
+
+  for (const key of Object.keys(limits)) {
+    const value = node[key];
+    if (value === undefined) continue;
+
+    if (typeof value !== 'string' || value.trim() === '' || value.length > limits[key]) {
+      return `${key} must be 1-${limits[key]} characters`;
+    }
+    if (!/^[\x20-\x7e]*$/.test(value)) {
+      return `${key} must only contain printable ASCII characters`;
+    }
+  }
+
+  return null;
+}
+
+// Validate per-universe input settings keyed by port-address, returning an error message or null
+function validateUniverseSettings(universes) {
+  if (typeof universes !== 'object' || universes === null || Array.isArray(universes)) {
+    return 'universes must be an object keyed by port-address';
+  }
+
+  for (const [key, input] of Object.entries(universes)) {
+    const portAddress = Number(key);
+    if (!Number.isInteger(portAddress) || portAddress < 0 || portAddress > 32767) {
+      return `Invalid port-address: ${key}`;
+    }
+    if (typeof input !== 'object' || input === null) {
+      return `Settings for universe ${key} must be an object`;
+    }
+    if (input.protocol !== undefined && !settings.PROTOCOLS.includes(input.protocol)) {
+      return `protocol must be one of: ${settings.PROTOCOLS.join(', ')}`;
+    }
+    if (input.sacnUniverse !== undefined &&
+        (!Number.isInteger(input.sacnUniverse) || input.sacnUniverse < 1 || input.sacnUniverse > 63999)) {
+      return 'sacnUniverse must be between 1 and 63999';
+    }
+    if (input.merge !== undefined && !MERGE_MODES.includes(input.merge)) {
+      return `merge must be one of: ${MERGE_MODES.join(', ')}`;
+    }
+    if (input.preferredSource !== undefined && input.preferredSource !== null &&
+        (typeof input.preferredSource !== 'string' || input.preferredSource.trim() === '')) {
+      return 'preferredSource must be a sender IP address or null';
+    }
+    if (input.failoverTimeout !== undefined &&
+        (!Number.isInteger(input.failoverTimeout) || input.failoverTimeout < 100 || input.failoverTimeout > 60000)) {
+      return 'failoverTimeout must be between 100 and 60000 milliseconds';
+    }
+    if (input.signalTimeout !== undefined &&
+        (!Number.isInteger(input.signalTimeout) || input.signalTimeout < 500 || input.signalTimeout > 600000)) {
+      return 'signalTimeout must be between 500 and 600000 milliseconds';
+    }
+    if (input.lossAction !== undefined && !settings.LOSS_ACTIONS.includes(input.lossAction)) {
+      return `lossAction must be one of: ${settings.LOSS_ACTIONS.join(', ')}`;
+    }
+    if (input.fadeTime !== undefined &&
+        (typeof input.fadeTime !== 'number' || input.fadeTime < 0 || input.fadeTime > 600)) {
+      return 'fadeTime must be between 0 and 600 seconds';
+    }
+    if (input.houseLook !== undefined && input.houseLook !== null &&
+        (!Array.isArray(input.houseLook) || input.houseLook.length > 512 ||
+         !input.houseLook.every(value => Number.isInteger(value) && value >= 0 && value <= 255))) {
+      return 'houseLook must be null or up to 512 DMX levels (0-255)';
+    }
+    if (input.smoothing !== undefined && input.smoothing !== null) {
+      const smoothingError = validateSmoothing(input.smoothing);
+      if (smoothingError) {
+        return smoothingError;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Validate a scene's name, fade time and fixture states, returning an error message or null
+function validateScene(scene) {
+  const { name, fadeTime, fixtures } = scene;
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return 'name must not be empty';
+  }
+  if (fadeTime !== undefined && (typeof fadeTime !== 'number' || fadeTime < 0 || fadeTime > 600)) {
+    return 'fadeTime must be between 0 and 600 seconds';
+  }
+  if (fixtures !== undefined) {
+    if (typeof fixtures !== 'object' || fixtures === null || Array.isArray(fixtures)) {
+      return 'fixtures must be an object keyed by MAC address';
+    }
+    for (const [macAddress, state] of Object.entries(fixtures)) {
+      const stateError = scenes.validateFixtureState(state);
+      if (stateError) {
+        return `Fixture ${macAddress}: ${stateError}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Convert submitted fixture states to the pilot states a scene stores
+function toSceneFixtures(fixtures) {
+  const converted = {};
+  Object.entries(fixtures).forEach(([macAddress, state]) => {
+    converted[macAddress] = scenes.toPilotState(state);
+  });
+  return converted;
+}
+
+// Ask a fixture for its state, undoing its calibration so the state can be sent again as is
+async function readFixtureState(device) {
+  const pilot = scenes.toPilotState(await sendGetPilot(device.ipAddress));
+  return calibration.removeCalibration(pilot, calibration.getCalibration(device));
+}
+
+// Read the current state of each device over getPilot.
+// Fixtures that don't answer are left out and listed in skipped.
+async function captureFixtures(devices) {
+  const fixtures = {};
+  const skipped = [];
+
+  // Ask every fixture at once
+  await Promise.all(devices.map(async device => {
+    try {
+      fixtures[device.macAddress] = await readFixtureState(device);
+    } catch (err) {
+      skipped.push(device.macAddress);
+    }
+  }));
+
+  return { fixtures, skipped };
+}
+
+// Validate a group's name, members and patch, returning { status, body } describing the error or null if valid
+async function checkGroup(group, allowOverlap) {
+  const { id, name, members, patch } = group;
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { status: 400, body: { error: 'name must not be empty' } };
+  }
+  if (!Array.isArray(members)) {
+    return { status: 400, body: { error: 'members must be a list of MAC addresses' } };
+  }
+
+  const devices = await storage.readAll();
+  const unknown = members.filter(mac => !devices.some(device => device.macAddress === mac));
+  if (unknown.length > 0) {
+    return { status: 400, body: { error: `Unknown devices: ${unknown.join(', ')}` } };
+  }
+
+  if (patch === null) {
+    return null;
+  }
+
+  if (typeof patch !== 'object' || Array.isArray(patch)) {
+    return { status: 400, body: { error: 'patch must be an object or null' } };
+  }
+  if (!isPersonality(patch.type)) {
+    return { status: 400, body: { error: `Unknown fixture type: ${patch.type}` } };
+  }
+  const universeError = validateUniverseFields(patch);
+  if (universeError) {
+    return { status: 400, body: { error: universeError } };
+  }
+
+  // A device can only follow one patched group
+  const otherGroups = (await groups.readAll()).filter(other => other.id !== id);
+  const alreadyPatched = members
+    .map(mac => groups.findPatchedGroup(mac, otherGroups))
+    .find(other => other);
+  if (alreadyPatched) {
+    return { status: 409, body: { error: `Members already follow the patched group ${alreadyPatched.name}` } };
+  }
+
+  const candidate = { id, name, members, patch };
+  return checkPatch(
+    { macAddress: groups.getGroupKey(candidate), ...patch },
+    allowOverlap,
+    [...otherGroups, candidate]
+  );
+}
+
+// Validate the effect control settings, returning an error message or null if valid
+function validateEffectControl(control) {
+  if (typeof control !== 'object' || control === null || Array.isArray(control)) {
+    return 'effectControl must be an object';
+  }
+  if (control.enabled !== undefined && typeof control.enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+
+  const universeError = validateUniverseFields(control);
+  if (universeError) {
+    return universeError;
+  }
+
+  const lastChannel = 512 - effects.CONTROL_CHANNELS + 1;
+  if (control.channel !== undefined &&
+      (!Number.isInteger(control.channel) || control.channel < 1 || control.channel > lastChannel)) {
+    return `channel must be between 1 and ${lastChannel}`;
+  }
+  if (control.group !== undefined && control.group !== null && typeof control.group !== 'string') {
+    return 'group must be a group ID or null';
+  }
+
+  return null;
+}
+
+// Check dimmer settings once a device's overrides are combined with the global settings,
+// returning an error message or null if valid
+function checkDimmerCurve(dimmer) {
+  if (dimmer.curve === 'custom' && !dimmer.lut) {
+    return 'The custom curve needs a lut';
+  }
+  return null;
+}
+
+// Get the fixtures an effect runs on, in chase order, from a group ID or a list of MAC addresses.
+// Returns { status, body } describing the error, or { macAddresses }.
+async function resolveEffectFixtures({ group: groupId, fixtures }) {
+  if (groupId !== undefined) {
+    const group = await groups.read(String(groupId));
+    if (!group) {
+      return { status: 404, body: { error: 'Group not found' } };
+    }
+    fixtures = group.members;
+  }
+
+  if (!Array.isArray(fixtures) || fixtures.length === 0) {
+    return { status: 400, body: { error: 'Give a group or a list of fixtures to run the effect on' } };
+  }
+
+  const devices = await storage.readAll();
+  const unknown = fixtures.filter(mac => !devices.some(device => device.macAddress === mac));
+  if (unknown.length > 0) {
+    return { status: 400, body: { error: `Unknown devices: ${unknown.join(', ')}` } };
+  }
+
+  return { macAddresses: fixtures };
+}
+
+// Pick the patch fields of a group patch, filling in universe defaults
+function toGroupPatch(patch) {
+  if (!patch) {
+    return null;
+  }
+  return { net: 0, subnet: 0, universe: 0, ...pick(patch, groups.PATCH_FIELDS) };
+}
+
+// Copy only the given fields that are present
+function pick(object, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (object[field] !== undefined) picked[field] = object[field];
+  });
+  return picked;
+}
+
+// Build setPilot params for a manual state change. WiZ fixtures can't dim below 10%,
+// so dimming 0 turns the fixture off instead and 1-9 are raised to 10.
+function toSetPilotParams(state) {
+  const params = pick(state, STATE_FIELDS);
+
+  // RGB is set as a whole, so missing primaries are off
+  if (['r', 'g', 'b'].some(field => params[field] !== undefined)) {
+    params.r = params.r || 0;
+    params.g = params.g || 0;
+    params.b = params.b || 0;
+  }
+
+  if (params.dimming === 0) {
+    delete params.dimming;
+    params.state = false;
+  } else if (params.dimming !== undefined) {
+    params.dimming = clampWizDimming(params.dimming);
+  }
+  return params;
+}
+
+// Check a device's name and IP address where given, returning an error message or null if valid
+function validateDeviceFields({ name, ipAddress }) {
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    return 'name must not be empty';
+  }
+  if (ipAddress !== undefined && (typeof ipAddress !== 'string' || ipAddress.trim() === '')) {
+    return 'ipAddress must not be empty';
+  }
+  return null;
+}
+
+// API Routes
+
+// List available DMX personalities
+app.get('/api/personalities', (req, res) => {
+  res.json(listPersonalities());
+});
+
+// List the WiZ dynamic scenes
+app.get('/api/wiz-scenes', (req, res) => {
+  res.json(listWizScenes());
+});
+
+// List the network interfaces the bridge can use, with their directed broadcast addresses
+app.get('/api/network/interfaces', (req, res) => {
+  res.json(listInterfaces());
+});
+
+// Get all devices
+app.get('/api/devices', async (req, res) => {
+  try {
+    const devices = await storage.readAll();
+    res.json(devices.map(describeDevice));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a device by MAC address
+app.get('/api/devices/:macAddress', async (req, res) => {
+  try {
+    const device = await storage.read(req.params.macAddress);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json(describeDevice(device));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a new device
+app.post('/api/devices', async (req, res) => {
+  try {
+    const {
+      macAddress, ipAddress, name, type, channel,
+      net = 0, subnet = 0, universe = 0, allowOverlap = false
+    } = req.body;
+
+    // Validation
+    if (!macAddress || !ipAddress || !name || !type || channel === undefined) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const fieldsError = validateDeviceFields({ name, ipAddress });
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    if (!isPersonality(type)) {
+      return res.status(400).json({ error: `Unknown fixture type: ${type}` });
+    }
+
+    const universeError = validateUniverseFields({ net, subnet, universe });
+    if (universeError) {
+      return res.status(400).json({ error: universeError });
+    }
+
+    const patchError = await checkPatch({ macAddress, type, channel, net, subnet, universe }, allowOverlap);
+    if (patchError) {
+      return res.status(patchError.status).json(patchError.body);
+    }
+
+    const device = await storage.create({
+      macAddress,
+      ipAddress,
+      name,
+      type,
+      channel,
+      net,
+      subnet,
+      universe
+    });
+    notifyDevicesChanged();
+
+    // Check the new device right away instead of waiting for the next polling round
+    pollDevice(device);
+
+    res.status(201).json(describeDevice(device));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Add several fixtures at once (e.g. from discovery), giving each the next free DMX addresses
+// on the chosen universe
+app.post('/api/devices/bulk', async (req, res) => {
+  try {
+    const {
+      devices: newDevices, type = 'rgbcw-dim', net = 0, subnet = 0, universe = 0, startChannel = 1
+    } = req.body;
+
+    if (!Array.isArray(newDevices) || newDevices.length === 0) {
+      return res.status(400).json({ error: 'devices must be a non-empty list' });
+    }
+    if (newDevices.some(device => !device || !formatMacAddress(device.macAddress) || !device.ipAddress)) {
+      return res.status(400).json({ error: 'Every device needs a macAddress and ipAddress' });
+    }
+    const unknownType = newDevices.map(device => device.type || type).find(t => !isPersonality(t));
+    if (unknownType) {
+      return res.status(400).json({ error: `Unknown fixture type: ${unknownType}` });
+    }
+
+    const universeError = validateUniverseFields({ net, subnet, universe });
+    if (universeError) {
+      return res.status(400).json({ error: universeError });
+    }
+    if (!Number.isInteger(startChannel) || startChannel < 1 || startChannel > 512) {
+      return res.status(400).json({ error: 'startChannel must be between 1 and 512' });
+    }
+
+    const existing = await storage.readAll();
+    const known = new Set(existing.map(device => getMacKey(device.macAddress)));
+    const occupied = groups.getPatchedFixtures(existing, await groups.readAll());
+    const created = [];
+    const skipped = [];
+
+    for (const entry of newDevices) {
+      if (known.has(getMacKey(entry.macAddress))) {
+        skipped.push({ macAddress: entry.macAddress, error: 'Device with this MAC address already exists' });
+        continue;
+      }
+
+      // Store the colon form discovery's separator-less MACs are matched against
+      const device = {
+        macAddress: formatMacAddress(entry.macAddress),
+        ipAddress: entry.ipAddress,
+        name: entry.name || `WiZ ${getMacKey(entry.macAddress).slice(-6)}`,
+        type: entry.type || type,
+        net,
+        subnet,
+        universe
+      };
+      const channel = findFreeChannel(device, occupied, startChannel);
+      if (channel === null) {
+        skipped.push({ macAddress: entry.macAddress, error: `No free channels on universe ${net}:${subnet}:${universe} from ${startChannel}` });
+        continue;
+      }
+
+      const stored = await storage.create({ ...device, channel });
+      occupied.push(stored);
+      known.add(getMacKey(stored.macAddress));
+      created.push(stored);
+      pollDevice(stored);
+    }
+    if (created.length > 0) {
+      notifyDevicesChanged();
+    }
+
+    res.status(created.length > 0 ? 201 : 200).json({ created: created.map(describeDevice), skipped });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Update a device
+app.put('/api/devices/:macAddress', async (req, res) => {
+  try {
+    const {
+      ipAddress, name, type, channel, net, subnet, universe,
+      calibration: deviceCalibration, dimmer, smoothing, allowOverlap = false
+    } = req.body;
+
+    const fieldsError = validateDeviceFields({ name, ipAddress });
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    if (type !== undefined && !isPersonality(type)) {
+      return res.status(400).json({ error: `Unknown fixture type: ${type}` });
+    }
+
+    if (deviceCalibration !== undefined && deviceCalibration !== null) {
+      const calibrationError = calibration.validateCalibration(deviceCalibration);
+      if (calibrationError) {
+        return res.status(400).json({ error: calibrationError });
+      }
+    }
+
+    if (smoothing !== undefined && smoothing !== null) {
+      const smoothingError = validateSmoothing(smoothing);
+      if (smoothingError) {
+        return res.status(400).json({ error: smoothingError });
+      }
+    }
+
+    // Devices override the global dimmer settings field by field
+    if (dimmer !== undefined && dimmer !== null) {
+      const dimmerError = validateDimmerSettings(dimmer) ||
+        checkDimmerCurve({ ...(await settings.read()).dimmer, ...dimmer });
+      if (dimmerError) {
+        return res.status(400).json({ error: dimmerError });
+      }
+    }
+
+    const universeError = validateUniverseFields({ net, subnet, universe });
+    if (universeError) {
+      return res.status(400).json({ error: universeError });
+    }
+
+    const updates = {};
+    if (ipAddress !== undefined) updates.ipAddress = ipAddress;
+    if (name !== undefined) updates.name = name;
+    if (type !== undefined) updates.type = type;
+    if (channel !== undefined) updates.channel = channel;
+    if (net !== undefined) updates.net = net;
+    if (subnet !== undefined) updates.subnet = subnet;
+    if (universe !== undefined) updates.universe = universe;
+    if (deviceCalibration !== undefined) {
+      updates.calibration = deviceCalibration && calibration.normalizeCalibration(deviceCalibration);
+    }
+    if (dimmer !== undefined) {
+      updates.dimmer = dimmer && pick(dimmer, ['curve', 'lut', 'floor', 'offThreshold']);
+    }
+    if (smoothing !== undefined) {
+      updates.smoothing = smoothing && pick(smoothing, ['mode', 'time', 'snapThreshold']);
+    }
+
+    // Re-check the patch only when the fixture's address or footprint changes
+    const existing = await storage.read(req.params.macAddress);
+    if (!existing) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const patchFields = ['type', 'channel', 'net', 'subnet', 'universe'];
+    if (patchFields.some(field => updates[field] !== undefined && updates[field] !== existing[field])) {
+      const patchError = await checkPatch({ ...existing, ...updates }, allowOverlap);
+      if (patchError) {
+        return res.status(patchError.status).json(patchError.body);
+      }
+    }
+
+    const device = await storage.update(req.params.macAddress, updates);
+    notifyDevicesChanged();
+    res.json(describeDevice(device));
+  } catch (err) {
+    if (err.message === 'Device not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Delete a device
+app.delete('/api/devices/:macAddress', async (req, res) => {
+  try {
+    const deleted = await storage.remove(req.params.macAddress);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    await groups.removeMember(req.params.macAddress);
+    notifyDevicesChanged();
+    res.status(204).send();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get the patch sheet (JSON, or CSV with ?format=csv)
+app.get('/api/patch', async (req, res) => {
+  try {
+    const sheet = buildPatchSheet(groups.getPatchedFixtures(await storage.readAll(), await groups.readAll()));
+
+    if (req.query.format === 'csv') {
+      res.type('text/csv');
+      res.attachment('patch.csv');
+      return res.send(patchSheetToCsv(sheet));
+    }
+
+    res.json(sheet);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all settings
+app.get('/api/settings', async (req, res) => {
+  try {
+    res.json(await settings.read());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update settings
+app.put('/api/settings', async (req, res) => {
+  try {
+    const { node, universes, effectControl, dimmer, network, identify } = req.body;
+    let updated = await settings.read();
+    const previousNetwork = updated.network;
+
+    if (identify !== undefined) {
+      const identifyError = validateIdentifySettings(identify);
+      if (identifyError) {
+        return res.status(400).json({ error: identifyError });
+      }
+    }
+
+    if (network !== undefined) {
+      const networkError = validateNetworkSettings(network);
+      if (networkError) {
+        return res.status(400).json({ error: networkError });
+      }
+    }
+
+    if (dimmer !== undefined) {
+      const dimmerError = validateDimmerSettings(dimmer) || checkDimmerCurve({ ...updated.dimmer, ...dimmer });
+      if (dimmerError) {
+        return res.status(400).json({ error: dimmerError });
+      }
+    }
+
+    if (effectControl !== undefined) {
+      const controlError = validateEffectControl(effectControl);
+      if (controlError) {
+        return res.status(400).json({ error: controlError });
+      }
+      if (effectControl.group && !(await groups.read(effectControl.group))) {
+        return res.status(400).json({ error: `Unknown group: ${effectControl.group}` });
+      }
+    }
+
+    if (universes !== undefined) {
+      const universeError = validateUniverseSettings(universes);
+      if (universeError) {
+        return res.status(400).json({ error: universeError });
+      }
+    }
+
+    if (node !== undefined) {
+      const nodeError = validateNodeSettings(node);
+      if (nodeError) {
+        return res.status(400).json({ error: nodeError });
+      }
+
+      const { shortName, longName } = node;
+      const updates = {};
+      if (shortName !== undefined) updates.shortName = shortName;
+      if (longName !== undefined) updates.longName = longName;
+      updated = await settings.update('node', updates);
+    }
+
+    if (universes !== undefined) {
+      const updates = {};
+      Object.entries(universes).forEach(([key, input]) => {
+        updates[key] = { ...updated.universes[key] };
+        if (input.protocol !== undefined) updates[key].protocol = input.protocol;
+        if (input.sacnUniverse !== undefined) updates[key].sacnUniverse = input.sacnUniverse;
+        if (input.merge !== undefined) updates[key].merge = input.merge;
+        if (input.preferredSource !== undefined) updates[key].preferredSource = input.preferredSource;
+        if (input.failoverTimeout !== undefined) updates[key].failoverTimeout = input.failoverTimeout;
+        if (input.signalTimeout !== undefined) updates[key].signalTimeout = input.signalTimeout;
+        if (input.lossAction !== undefined) updates[key].lossAction = input.lossAction;
+        if (input.fadeTime !== undefined) updates[key].fadeTime = input.fadeTime;
+        if (input.houseLook !== undefined) updates[key].houseLook = input.houseLook;
+        if (input.smoothing !== undefined) {
+          updates[key].smoothing = input.smoothing &&
+            { ...updates[key].smoothing, ...pick(input.smoothing, ['mode', 'time', 'snapThreshold']) };
+        }
+      });
+      updated = await settings.update('universes', updates);
+    }
+
+    if (dimmer !== undefined) {
+      updated = await settings.update('dimmer', pick(dimmer, ['curve', 'lut', 'floor', 'offThreshold']));
+    }
+
+    if (identify !== undefined) {
+      const fields = ['color', 'dimming', 'duration', 'backgroundColor', 'backgroundDimming'];
+      updated = await settings.update('identify', pick(identify, fields));
+    }
+
+    if (effectControl !== undefined) {
+      const fields = ['enabled', 'net', 'subnet', 'universe', 'channel', 'group'];
+      updated = await settings.update('effectControl', pick(effectControl, fields));
+    }
+
+    if (network !== undefined) {
+      const fields = ['artnetInterface', 'wizInterface', 'discoveryBroadcasts'];
+      updated = await settings.update('network', pick(network, fields));
+    }
+
+    // Have the daemon pick up the new settings (e.g. re-announce its node name or switch input protocol).
+    // It only binds its interfaces at startup, so changing those restarts it.
+    if (['artnetInterface', 'wizInterface'].some(field => updated.network[field] !== previousNetwork[field])) {
+      restartArtNetDaemon();
+    } else {
+      sendToDaemon({ type: 'reloadSettings' });
+    }
+
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Read everything a show file holds
+async function readConfiguration() {
+  return {
+    devices: await storage.readAll(),
+    groups: await groups.readAll(),
+    scenes: await scenes.readAll(),
+    settings: await settings.read()
+  };
+}
+
+// Check a show file's settings sections with the settings API's validators.
+// Returns an error message or null if valid.
+async function validateShowSettings(showSettings, showGroups) {
+  const { node, universes, effectControl, dimmer, identify } = showSettings;
+
+  if (node !== undefined) {
+    const nodeError = validateNodeSettings(node);
+    if (nodeError) return nodeError;
+  }
+  if (universes !== undefined) {
+    const universeError = validateUniverseSettings(universes);
+    if (universeError) return universeError;
+  }
+  if (dimmer !== undefined) {
+    const dimmerError = validateDimmerSettings(dimmer) ||
+      checkDimmerCurve({ ...settings.DEFAULT_SETTINGS.dimmer, ...dimmer });
+    if (dimmerError) return dimmerError;
+  }
+  if (identify !== undefined) {
+    const identifyError = validateIdentifySettings(identify);
+    if (identifyError) return identifyError;
+  }
+  if (effectControl !== undefined) {
+    const controlError = validateEffectControl(effectControl);
+    if (controlError) return controlError;
+    if (effectControl.group && !showGroups.some(group => group.id === effectControl.group) &&
+        !(await groups.read(effectControl.group))) {
+      return `Unknown group: ${effectControl.group}`;
+    }
+  }
+
+  return null;
+}
+
+// Check the patch of the rig an import would leave: no two fixtures (or patched groups) sharing addresses.
+// Returns { status, body } describing the error, or null if the patch is valid.
+function checkImportPatch(rig, allowOverlap) {
+  if (allowOverlap) {
+    return null;
+  }
+
+  const fixtures = groups.getPatchedFixtures(rig.devices, rig.groups);
+  const overlapping = fixtures.filter(fixture => findConflicts(fixture, fixtures).length > 0);
+  if (overlapping.length > 0) {
+    return {
+      status: 409,
+      body: {
+        error: `Channels overlap between ${overlapping.map(fixture => fixture.name).join(', ')}`,
+        conflicts: overlapping.map(fixture => fixture.macAddress)
+      }
+    };
+  }
+
+  return null;
+}
+
+// Download the whole configuration as a show file
+app.get('/api/export', async (req, res) => {
+  try {
+    const show = buildShowFile(await readConfiguration());
+    res.attachment(`show-${show.exportedAt.slice(0, 10)}.json`);
+    res.send(JSON.stringify(show, null, 2));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import a show file, merging it into the configuration or replacing it.
+// With dryRun, only report what would change.
+app.post('/api/import', async (req, res) => {
+  try {
+    const { mode = 'merge', dryRun = false, allowOverlap = false } = req.body;
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    const showError = validateShowFile(req.body.show) ||
+      await validateShowSettings(req.body.show.settings, req.body.show.groups);
+    if (showError) {
+      return res.status(400).json({ error: showError });
+    }
+    const show = normalizeShowFile(req.body.show);
+
+    const current = await readConfiguration();
+    const patchError = checkImportPatch(getImportedRig(current, show, mode), allowOverlap);
+    if (patchError) {
+      return res.status(patchError.status).json(patchError.body);
+    }
+
+    const changes = diffShowFile(current, show, mode);
+    if (dryRun) {
+      return res.json({ mode, dryRun, changes });
+    }
+
+    for (const device of show.devices) await storage.save(device);
+    for (const group of show.groups) await groups.save(group);
+    for (const scene of show.scenes) await scenes.save(scene);
+
+    if (mode === 'replace') {
+      for (const { macAddress } of changes.devices.removed) await storage.remove(macAddress);
+      for (const { id } of changes.groups.removed) await groups.remove(id);
+      for (const { id } of changes.scenes.removed) await scenes.remove(id);
+    }
+
+    for (const [section, value] of Object.entries(show.settings)) {
+      if (mode === 'replace') {
+        await settings.replace(section, value);
+      } else {
+        await settings.update(section, value);
+      }
+    }
+
+    console.log(`Imported show file (${mode}): ${show.devices.length} devices, ` +
+      `${show.groups.length} groups, ${show.scenes.length} scenes`);
+    sendToDaemon({ type: 'reloadSettings' });
+    notifyDevicesChanged();
+
+    res.json({ mode, dryRun, changes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all scenes
+app.get('/api/scenes', async (req, res) => {
+  try {
+    res.json(await scenes.readAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a scene by ID
+app.get('/api/scenes/:id', async (req, res) => {
+  try {
+    const scene = await scenes.read(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+    res.json(scene);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a scene from fixture states entered by hand
+app.post('/api/scenes', async (req, res) => {
+  try {
+    const { name, fadeTime = 0, fixtures = {} } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const sceneError = validateScene({ name, fadeTime, fixtures });
+    if (sceneError) {
+      return res.status(400).json({ error: sceneError });
+    }
+
+    const scene = await scenes.create({ name: name.trim(), fadeTime, fixtures: toSceneFixtures(fixtures) });
+    res.status(201).json(scene);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Create a scene from what the fixtures are showing right now
+app.post('/api/scenes/capture', async (req, res) => {
+  try {
+    const { name, fadeTime = 0, devices: macAddresses } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const sceneError = validateScene({ name, fadeTime });
+    if (sceneError) {
+      return res.status(400).json({ error: sceneError });
+    }
+
+    let devices = await storage.readAll();
+    if (macAddresses !== undefined) {
+      if (!Array.isArray(macAddresses)) {
+        return res.status(400).json({ error: 'devices must be a list of MAC addresses' });
+      }
+      devices = devices.filter(device => macAddresses.includes(device.macAddress));
+    }
+
+    const { fixtures, skipped } = await captureFixtures(devices);
+    const scene = await scenes.create({ name: name.trim(), fadeTime, fixtures });
+    res.status(201).json({ scene, skipped });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Recapture a scene's fixtures from what they're showing right now
+app.post('/api/scenes/:id/capture', async (req, res) => {
+  try {
+    const scene = await scenes.read(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const macAddresses = Object.keys(scene.fixtures);
+    const devices = (await storage.readAll()).filter(device => macAddresses.includes(device.macAddress));
+
+    // Fixtures that don't answer keep their stored state
+    const { fixtures, skipped } = await captureFixtures(devices);
+    const updated = await scenes.update(scene.id, { fixtures: { ...scene.fixtures, ...fixtures } });
+    res.json({ scene: updated, skipped });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a scene (fixtures replaces all of the scene's fixture states)
+app.put('/api/scenes/:id', async (req, res) => {
+  try {
+    const { name, fadeTime, fixtures } = req.body;
+
+    const sceneError = validateScene({ name, fadeTime, fixtures });
+    if (sceneError) {
+      return res.status(400).json({ error: sceneError });
+    }
 
-// Get all devices
-app.get('/api/devices', async (req, res) => {
+    if (!await scenes.read(req.params.id)) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (fadeTime !== undefined) updates.fadeTime = fadeTime;
+    if (fixtures !== undefined) updates.fixtures = toSceneFixtures(fixtures);
+
+    res.json(await scenes.update(req.params.id, updates));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Delete a scene
+app.delete('/api/scenes/:id', async (req, res) => {
   try {
-    const devices = await storage.readAll();
-    res.json(devices);
+    const deleted = await scenes.remove(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+    res.status(204).send();
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get a device by MAC address
-app.get('/api/devices/:macAddress', async (req, res) => {
+// Recall a scene, fading over the given time (or the scene's own fade time).
+// The daemon owns fixture output, so the scene goes through its send pipeline.
+app.post('/api/scenes/:id/recall', async (req, res) => {
   try {
-    const device = await storage.read(req.params.macAddress);
-    if (!device) {
-      return res.status(404).json({ error: 'Device not found' });
+    const scene = await scenes.read(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+
+    const { fadeTime = scene.fadeTime } = req.body;
+    if (typeof fadeTime !== 'number' || fadeTime < 0 || fadeTime > 600) {
+      return res.status(400).json({ error: 'fadeTime must be between 0 and 600 seconds' });
     }
-    res.json(device);
+
+    if (!artnetDaemon || artnetDaemon.killed) {
+      return res.status(400).json({ error: 'Art-Net daemon not running' });
+    }
+
+    sendToDaemon({ type: 'recallScene', scene, fadeTime });
+    res.json({ message: `Recalling ${scene.name}` });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create a new device
-app.post('/api/devices', async (req, res) => {
+// Get all groups
+app.get('/api/groups', async (req, res) => {
   try {
-    const { macAddress, ipAddress, name, type, channel } = req.body;
+    res.json(await groups.readAll());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Validation
-    if (!macAddress || !ipAddress || !name || !type || channel === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' });
+// Get a group by ID
+app.get('/api/groups/:id', async (req, res) => {
+  try {
+    const group = await groups.read(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
     }
+    res.json(group);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const device = await storage.create({
-      macAddress,
-      ipAddress,
-      name,
-      type,
-      channel
-    });
+// Create a group, optionally patched to its own DMX address
+app.post('/api/groups', async (req, res) => {
+  try {
+    const { name, members = [], patch = null, allowOverlap = false } = req.body;
+    const groupPatch = toGroupPatch(patch);
 
-    res.status(201).json(device);
+    const groupError = await checkGroup({ name, members, patch: groupPatch }, allowOverlap);
+    if (groupError) {
+      return res.status(groupError.status).json(groupError.body);
+    }
+
+    const group = await groups.create({ name: name.trim(), members, patch: groupPatch });
+    notifyDevicesChanged();
+    res.status(201).json(group);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// Update a device
-app.put('/api/devices/:macAddress', async (req, res) => {
+// Update a group's name, members or patch (patch: null unpatches it)
+app.put('/api/groups/:id', async (req, res) => {
   try {
-    const { ipAddress, name, type, channel } = req.body;
+    const existing = await groups.read(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
 
-    const updates = {};
-    if (ipAddress !== undefined) updates.ipAddress = ipAddress;
-    if (name !== undefined) updates.name = name;
-    if (type !== undefined) updates.type = type;
-    if (channel !== undefined) updates.channel = channel;
+    const { name = existing.name, members = existing.members, allowOverlap = false } = req.body;
+    const groupPatch = req.body.patch !== undefined ? toGroupPatch(req.body.patch) : existing.patch;
 
-    const device = await storage.update(req.params.macAddress, updates);
-    res.json(device);
-  } catch (err) {
-    if (err.message === 'Device not found') {
-      return res.status(404).json({ error: err.message });
+    const groupError = await checkGroup({ id: existing.id, name, members, patch: groupPatch }, allowOverlap);
+    if (groupError) {
+      return res.status(groupError.status).json(groupError.body);
     }
+
+    const group = await groups.update(existing.id, { name: name.trim(), members, patch: groupPatch });
+    notifyDevicesChanged();
+    res.json(group);
+  } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// Delete a device
-app.delete('/api/devices/:macAddress', async (req, res) => {
+// Delete a group (its members go back to their own patch)
+app.delete('/api/groups/:id', async (req, res) => {
   try {
-    const deleted = await storage.remove(req.params.macAddress);
+    const deleted = await groups.remove(req.params.id);
     if (!deleted) {
-      return res.status(404).json({ error: 'Device not found' });
+      return res.status(404).json({ error: 'Group not found' });
     }
+    notifyDevicesChanged();
     res.status(204).send();
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Discover WiZ fixtures
+// Set color/dimming for every member of a group, e.g. { "dimming": 50 } or { "r": 255, "g": 0, "b": 0 }.
+// Fields left out keep each fixture's current value.
+app.post('/api/groups/:id/set', async (req, res) => {
+  try {
+    const group = await groups.read(req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const { fadeTime = 0, ...state } = req.body;
+    const stateError = scenes.validateFixtureState(state);
+    if (stateError) {
+      return res.status(400).json({ error: stateError });
+    }
+    if (typeof fadeTime !== 'number' || fadeTime < 0 || fadeTime > 600) {
+      return res.status(400).json({ error: 'fadeTime must be between 0 and 600 seconds' });
+    }
+
+    if (!artnetDaemon || artnetDaemon.killed) {
+      return res.status(400).json({ error: 'Art-Net daemon not running' });
+    }
+
+    const changes = pick(state, STATE_FIELDS);
+    sendToDaemon({ type: 'setFixtures', macAddresses: group.members, changes, fadeTime });
+    res.json({ message: `Setting ${group.members.length} fixtures in ${group.name}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List running effects
+app.get('/api/effects', (req, res) => {
+  res.json(daemonStatus ? daemonStatus.effects : []);
+});
+
+// Start an effect on a group or a list of fixtures
+app.post('/api/effects', async (req, res) => {
+  try {
+    const { group, fixtures, ...options } = req.body;
+    const effectError = effects.validateEffect(options);
+    if (effectError) {
+      return res.status(400).json({ error: effectError });
+    }
+
+    const target = await resolveEffectFixtures({ group, fixtures });
+    if (!target.macAddresses) {
+      return res.status(target.status).json(target.body);
+    }
+
+    if (!artnetDaemon || artnetDaemon.killed) {
+      return res.status(400).json({ error: 'Art-Net daemon not running' });
+    }
+
+    const id = crypto.randomUUID();
+    const effect = effects.normalizeEffect(options);
+    sendToDaemon({ type: 'startEffect', id, effect, macAddresses: target.macAddresses });
+    res.status(201).json({ id, ...effect, fixtures: target.macAddresses });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a running effect's parameters (e.g. its rate) or fixtures without restarting it
+app.put('/api/effects/:id', async (req, res) => {
+  try {
+    const running = daemonStatus && daemonStatus.effects.find(effect => effect.id === req.params.id);
+    if (!running) {
+      return res.status(404).json({ error: 'Effect not running' });
+    }
+
+    const { group, fixtures, ...updates } = req.body;
+    const { id, fixtures: currentFixtures, startedAt, ...current } = running;
+    const options = { ...current, ...updates };
+    const effectError = effects.validateEffect(options);
+    if (effectError) {
+      return res.status(400).json({ error: effectError });
+    }
+
+    let macAddresses = currentFixtures;
+    if (group !== undefined || fixtures !== undefined) {
+      const target = await resolveEffectFixtures({ group, fixtures });
+      if (!target.macAddresses) {
+        return res.status(target.status).json(target.body);
+      }
+      macAddresses = target.macAddresses;
+    }
+
+    const effect = effects.normalizeEffect(options);
+    sendToDaemon({ type: 'startEffect', id, effect, macAddresses });
+    res.json({ id, ...effect, fixtures: macAddresses });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Stop an effect; its fixtures go back to the console (or to what they showed before)
+app.delete('/api/effects/:id', (req, res) => {
+  const running = daemonStatus && daemonStatus.effects.find(effect => effect.id === req.params.id);
+  if (!running) {
+    return res.status(404).json({ error: 'Effect not running' });
+  }
+
+  sendToDaemon({ type: 'stopEffect', id: running.id });
+  res.status(204).send();
+});
+
+// Stop every effect
+app.delete('/api/effects', (req, res) => {
+  sendToDaemon({ type: 'stopAllEffects' });
+  res.status(204).send();
+});
+
+// Get health for all devices, keyed by MAC address
+app.get('/api/health', (req, res) => {
+  res.json(getAllHealth());
+});
+
+// List data files skipped because they're corrupt or invalid
+app.get('/api/storage/problems', (req, res) => {
+  res.json(listProblems());
+});
+
+// Discover WiZ fixtures and match them against the stored devices
 app.post('/api/discover', async (req, res) => {
   try {
-    const timeout = req.body.timeout || 3000;
-    const devices = await discoverWizFixtures(timeout);
-    res.json({ discovered: devices });
+    const { timeout = 3000, rounds = 3 } = req.body;
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > 10) {
+      return res.status(400).json({ error: 'rounds must be between 1 and 10' });
+    }
+
+    const { network } = await settings.read();
+    const found = await discoverWizFixtures(timeout, {
+      broadcastAddresses: network.discoveryBroadcasts.length > 0 ? network.discoveryBroadcasts : undefined,
+      localAddress: resolveInterfaceAddress(network.wizInterface) || undefined,
+      rounds
+    });
+
+    res.json(reconcileDiscovery(await addSystemConfig(found), await storage.readAll()));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -117,10 +1320,36 @@ app.get('/api/artnet/status', (req, res) => {
   res.json({
     running: artnetDaemon !== null && !artnetDaemon.killed,
     restartCount,
-    lastRestartTime
+    lastRestartTime,
+    // Leave out the raw levels; they're only kept for capturing the house look
+    universes: daemonStatus ? daemonStatus.universes.map(({ levels, ...universe }) => universe) : [],
+    scene: daemonStatus ? daemonStatus.scene : null,
+    effects: daemonStatus ? daemonStatus.effects : [],
+    network: daemonStatus ? daemonStatus.network : null
   });
 });
 
+// Save a universe's current DMX levels as the house look recalled when its signal is lost
+app.post('/api/artnet/universes/:portAddress/house-look', async (req, res) => {
+  try {
+    const portAddress = Number(req.params.portAddress);
+    const universe = daemonStatus && daemonStatus.universes.find(u => u.portAddress === portAddress);
+    if (!universe || universe.levels.length === 0) {
+      return res.status(409).json({ error: 'No DMX received on this universe yet' });
+    }
+
+    const current = await settings.read();
+    const updated = await settings.update('universes', {
+      [portAddress]: { ...current.universes[portAddress], houseLook: universe.levels }
+    });
+    sendToDaemon({ type: 'reloadSettings' });
+
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Start Art-Net daemon
 app.post('/api/artnet/start', (req, res) => {
   if (artnetDaemon && !artnetDaemon.killed) {
@@ -139,7 +1368,40 @@ app.post('/api/artnet/stop', (req, res) => {
   res.json({ message: 'Art-Net daemon stopped' });
 });
 
-// Identify a device by flashing it red
+// Get per-fixture queue stats from the daemon
+app.get('/api/artnet/stats', (req, res) => {
+  res.json(daemonStats || { time: null, fixtures: [] });
+});
+
+// Reset the daemon's queue stats
+app.post('/api/artnet/stats/reset', (req, res) => {
+  if (!artnetDaemon || artnetDaemon.killed) {
+    return res.status(400).json({ error: 'Art-Net daemon not running' });
+  }
+  daemonStats = null;
+  sendToDaemon({ type: 'resetStats' });
+  res.json({ message: 'Art-Net stats reset' });
+});
+
+// Stream live DMX monitor snapshots from the daemon (Server-Sent Events)
+app.get('/api/artnet/monitor', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  monitorClients.add(res);
+  updateDaemonMonitoring();
+
+  req.on('close', () => {
+    monitorClients.delete(res);
+    updateDaemonMonitoring();
+  });
+});
+
+// Identify a device by flashing it, optionally with its own color, dimming or duration
 app.post('/api/devices/:macAddress/identify', async (req, res) => {
   try {
     const device = await storage.read(req.params.macAddress);
@@ -147,8 +1409,15 @@ app.post('/api/devices/:macAddress/identify', async (req, res) => {
       return res.status(404).json({ error: 'Device not found' });
     }
 
+    const overrides = pick(req.body || {}, ['color', 'dimming', 'duration']);
+    const identifyError = validateIdentifySettings(overrides);
+    if (identifyError) {
+      return res.status(400).json({ error: identifyError });
+    }
+    const identify = { ...(await settings.read()).identify, ...overrides };
+
     // Start identify process (non-blocking)
-    identifyDevice(device).catch(err => {
+    identifyDevice(device, identify).catch(err => {
       console.error(`Error during identify for ${device.name}:`, err.message);
     });
 
@@ -158,131 +1427,246 @@ app.post('/api/devices/:macAddress/identify', async (req, res) => {
   }
 });
 
-// Helper functions for WiZ communication
+// Describe the identify walk, with its current fixture as stored now
+async function describeWalk() {
+  return identifyWalk.describe(await storage.readAll());
+}
 
-// Send getPilot to retrieve current state
-function sendGetPilot(ipAddress, timeout = 2000) {
-  return new Promise((resolve, reject) => {
-    const socket = dgram.createSocket('udp4');
-    const message = JSON.stringify({
-      method: 'getPilot',
-      params: {}
-    });
+// Get the identify walk in progress
+app.get('/api/identify/walk', async (req, res) => {
+  try {
+    res.json(identifyWalk ? await describeWalk() : null);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    let responseReceived = false;
+// Start an identify walk through a list of fixtures, a group's members, or every fixture in patch order
+app.post('/api/identify/walk', async (req, res) => {
+  try {
+    const { devices: macAddresses, group: groupId } = req.body;
+    if (identifyWalk) {
+      return res.status(409).json({ error: 'An identify walk is already running' });
+    }
 
-    socket.on('message', (msg, rinfo) => {
-      if (rinfo.address !== ipAddress) {
-        return;
+    const allDevices = await storage.readAll();
+    const findDevices = list => list.map(mac => allDevices.find(device => device.macAddress === mac)).filter(Boolean);
+    let walkDevices;
+    if (groupId !== undefined) {
+      const group = await groups.read(String(groupId));
+      if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
       }
-
-      try {
-        const response = JSON.parse(msg.toString());
-        if (response.method === 'getPilot' && response.result) {
-          responseReceived = true;
-          socket.close();
-          resolve(response.result);
-        }
-      } catch (err) {
-        // Ignore parse errors
+      walkDevices = findDevices(group.members);
+    } else if (macAddresses !== undefined) {
+      if (!Array.isArray(macAddresses)) {
+        return res.status(400).json({ error: 'devices must be a list of MAC addresses' });
       }
-    });
+      walkDevices = findDevices(macAddresses);
+    } else {
+      walkDevices = [...allDevices].sort((a, b) => (getPortAddress(a) - getPortAddress(b)) || (a.channel - b.channel));
+    }
 
-    socket.on('error', (err) => {
-      socket.close();
-      reject(err);
-    });
+    if (walkDevices.length === 0) {
+      return res.status(400).json({ error: 'No fixtures to walk through' });
+    }
 
-    socket.send(message, 0, message.length, 38899, ipAddress, (err) => {
-      if (err) {
-        socket.close();
-        reject(err);
+    const walk = new IdentifyWalk(walkDevices, (await settings.read()).identify, () => {
+      if (identifyWalk === walk) {
+        console.log('Identify walk left idle, restoring fixtures');
+        identifyWalk = null;
+        walk.stop();
       }
     });
+    identifyWalk = walk;
+    await walk.start();
 
-    setTimeout(() => {
-      if (!responseReceived) {
-        socket.close();
-        reject(new Error('getPilot timeout'));
-      }
-    }, timeout);
-  });
-}
+    res.status(201).json(await describeWalk());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Send setPilot to control light
-function sendSetPilot(ipAddress, params) {
-  return new Promise((resolve, reject) => {
-    const socket = dgram.createSocket('udp4');
-    const message = JSON.stringify({
-      id: 1,
-      method: 'setPilot',
-      params: params
-    });
+// Step the identify walk to the next or previous fixture
+app.post('/api/identify/walk/:direction(next|previous)', async (req, res) => {
+  try {
+    if (!identifyWalk) {
+      return res.status(404).json({ error: 'No identify walk running' });
+    }
 
-    socket.send(message, 0, message.length, 38899, ipAddress, (err) => {
-      socket.close();
-      if (err) {
-        reject(err);
-      } else {
-        resolve();
-      }
-    });
-  });
-}
+    await identifyWalk[req.params.direction]();
+    res.json(await describeWalk());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-// Identify device by flashing it red
-async function identifyDevice(device) {
+// Jump the identify walk to a fixture
+app.put('/api/identify/walk', async (req, res) => {
   try {
-    console.log(`Starting identify for ${device.name} (${device.ipAddress})`);
+    if (!identifyWalk) {
+      return res.status(404).json({ error: 'No identify walk running' });
+    }
 
-    // Get current state
-    const currentState = await sendGetPilot(device.ipAddress);
-    console.log(`Current state for ${device.name}:`, currentState);
+    if (!(await identifyWalk.select(req.body.macAddress))) {
+      return res.status(400).json({ error: 'Fixture is not part of the walk' });
+    }
+    res.json(await describeWalk());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Flash red at full brightness
-    await sendSetPilot(device.ipAddress, {
-      r: 255,
-      g: 0,
-      b: 0,
-      dimming: 100,
-      state: true
-    });
+// End the identify walk, restoring every fixture it touched
+app.delete('/api/identify/walk', async (req, res) => {
+  try {
+    if (!identifyWalk) {
+      return res.status(404).json({ error: 'No identify walk running' });
+    }
 
-    console.log(`${device.name} flashing red...`);
+    const walk = identifyWalk;
+    identifyWalk = null;
+    await walk.stop();
+    res.json({ message: 'Identify walk ended' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Read a device's current state
+app.get('/api/devices/:macAddress/state', async (req, res) => {
+  try {
+    const device = await storage.read(req.params.macAddress);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
 
-    // Wait 5 seconds
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    try {
+      res.json(await readFixtureState(device));
+    } catch (err) {
+      res.status(504).json({ error: `${device.name} did not respond: ${err.message}` });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // Restore original state
-    const restoreParams = {
-      state: currentState.state || false
-    };
+// Set a device's state directly and return the state it confirms
+app.post('/api/devices/:macAddress/state', async (req, res) => {
+  try {
+    const device = await storage.read(req.params.macAddress);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const stateError = scenes.validateFixtureState(req.body);
+    if (stateError) {
+      return res.status(400).json({ error: stateError });
+    }
+
+    const params = toSetPilotParams(req.body);
+    if (Object.keys(params).length === 0) {
+      return res.status(400).json({ error: 'No state given' });
+    }
 
-    // Restore color settings if they exist
-    if (currentState.r !== undefined) restoreParams.r = currentState.r;
-    if (currentState.g !== undefined) restoreParams.g = currentState.g;
-    if (currentState.b !== undefined) restoreParams.b = currentState.b;
-    if (currentState.c !== undefined) restoreParams.c = currentState.c;
-    if (currentState.w !== undefined) restoreParams.w = currentState.w;
-    if (currentState.dimming !== undefined) restoreParams.dimming = currentState.dimming;
-    if (currentState.temp !== undefined) restoreParams.temp = currentState.temp;
-    if (currentState.sceneId !== undefined) restoreParams.sceneId = currentState.sceneId;
+    await sendSetPilot(device.ipAddress, calibration.applyCalibration(params, calibration.getCalibration(device)));
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_DELAY));
 
-    await sendSetPilot(device.ipAddress, restoreParams);
+    let confirmed;
+    try {
+      confirmed = await readFixtureState(device);
+    } catch (err) {
+      return res.status(504).json({ error: `${device.name} did not confirm its state: ${err.message}` });
+    }
 
-    console.log(`${device.name} restored to original state`);
+    // The daemon holds this until the console changes the fixture's DMX levels
+    sendToDaemon({ type: 'fixtureState', macAddress: device.macAddress, pilot: confirmed });
+    res.json({ macAddress: device.macAddress, state: confirmed });
   } catch (err) {
-    console.error(`Failed to identify ${device.name}:`, err.message);
-    throw err;
+    res.status(500).json({ error: err.message });
   }
-}
+});
+
+// Show a test color on a device with a calibration that hasn't been saved yet
+app.post('/api/devices/:macAddress/calibration/test', async (req, res) => {
+  try {
+    const device = await storage.read(req.params.macAddress);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const { calibration: candidate = {}, ...state } = req.body;
+    const calibrationError = calibration.validateCalibration(candidate);
+    if (calibrationError) {
+      return res.status(400).json({ error: calibrationError });
+    }
+    const stateError = scenes.validateFixtureState(state);
+    if (stateError) {
+      return res.status(400).json({ error: stateError });
+    }
+
+    // Full white unless another test color is given
+    const pilot = scenes.toPilotState(Object.keys(state).length > 0 ? state : { r: 255, g: 255, b: 255 });
+    const params = calibration.applyCalibration(pilot, calibration.normalizeCalibration(candidate));
+    await sendSetPilot(device.ipAddress, toSetPilotParams(params));
+
+    sendToDaemon({ type: 'fixtureState', macAddress: device.macAddress, pilot });
+    res.json({ macAddress: device.macAddress, sent: params });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 // Art-Net daemon management functions
+
+// Send a message to the daemon over IPC, if it's running
+function sendToDaemon(message) {
+  if (artnetDaemon && artnetDaemon.connected) {
+    artnetDaemon.send(message);
+  }
+}
+
+// Have the daemon apply changes to the devices or groups straight away
+function notifyDevicesChanged() {
+  sendToDaemon({ type: 'reloadDevices' });
+}
+
+// Only have the daemon publish monitor snapshots while someone is watching
+function updateDaemonMonitoring() {
+  sendToDaemon({ type: 'monitor', enabled: monitorClients.size > 0 });
+}
+
+// Handle a message sent by the daemon over IPC
+function handleDaemonMessage(message) {
+  switch (message.type) {
+    case 'monitor': {
+      const event = `data: ${JSON.stringify(message)}\n\n`;
+      monitorClients.forEach(client => client.write(event));
+      break;
+    }
+    case 'stats':
+      daemonStats = message;
+      break;
+    case 'status':
+      daemonStatus = message;
+      break;
+    case 'ipChanged':
+      storage.update(message.macAddress, { ipAddress: message.ipAddress })
+        .then(device => console.log(`Updated IP address for ${device.name} to ${device.ipAddress}`))
+        .catch(err => console.error(`Failed to update IP address for ${message.macAddress}:`, err.message));
+      break;
+    default:
+      console.warn(`Unknown message from Art-Net daemon: ${message.type}`);
+  }
+}
+
 function startArtNetDaemon() {
   artnetDaemon = spawn('node', ['artnet-daemon.js'], {
-    stdio: ['ignore', 'pipe', 'pipe']
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc']
   });
 
+  artnetDaemon.on('message', handleDaemonMessage);
+
   artnetDaemon.stdout.on('data', (data) => {
     console.log(`[Art-Net Daemon] ${data.toString().trim()}`);
   });
@@ -312,6 +1696,8 @@ function startArtNetDaemon() {
     }, delay);
   });
 
+  updateDaemonMonitoring();
+
   console.log('Art-Net daemon started');
 }
 
@@ -324,12 +1710,28 @@ function stopArtNetDaemon() {
   }
 }
 
+// Restart a running daemon straight away, without the crash backoff. A daemon waiting to be
+// restarted picks up the new settings when it starts.
+function restartArtNetDaemon() {
+  if (!artnetDaemon) {
+    return;
+  }
+
+  console.log('Restarting Art-Net daemon to apply new settings');
+  artnetDaemon.removeAllListeners('exit');
+  artnetDaemon.once('exit', () => startArtNetDaemon());
+  stopArtNetDaemon();
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 
   // Auto-start Art-Net daemon
   startArtNetDaemon();
+
+  // Start polling fixture health in the background
+  startHealthPoller();
 });
 
 // Graceful shutdown
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { FAILOVER_TIMEOUT } = require('./dmx-merge');
+const {
+  withFileLock, writeJson, migrateRecord, stampRecord, reportProblem, hasProblem, clearProblem
+} = require('./json-store');
+
+const SETTINGS_DIR = path.join(__dirname, 'data', 'settings');
+const SETTINGS_FILE = path.join(SETTINGS_DIR, 'settings.json');
+
+// Defaults for every settings section
+const DEFAULT_SETTINGS = {
+  node: {
+    shortName: 'WiZ Art-Net',
+    longName: 'WiZ Art-Net Controller'
+  },
+  // Interfaces (names or IPv4 addresses; null picks automatically) and where discovery broadcasts go
+  network: {
+    artnetInterface: null, // Receives Art-Net and sACN
+    wizInterface: null, // Talks to the bulbs
+    discoveryBroadcasts: [] // Broadcast addresses discovery scans; empty uses 255.255.255.255
+  },
+  // Per-universe input settings keyed by Art-Net port-address
+  universes: {},
+  // How DMX dimmer levels map to WiZ dimming; devices can override any of these
+  dimmer: {
+    curve: 'linear',
+    lut: null, // 256 output levels, one per DMX value, for the 'custom' curve
+    floor: 10, // WiZ dimming for the lowest non-zero DMX level
+    offThreshold: 0 // DMX levels at or below this are off
+  },
+  // How fixtures are lit to identify them, alone or during an identify walk
+  identify: {
+    color: { r: 255, g: 0, b: 0 }, // The fixture being identified
+    dimming: 100,
+    duration: 5, // Seconds a single identify lasts
+    backgroundColor: { r: 0, g: 0, b: 255 }, // Every other fixture during a walk
+    backgroundDimming: 10
+  },
+  // DMX channels a console can use to run an effect on a group (or every fixture when group is null)
+  effectControl: {
+    enabled: false,
+    net: 0,
+    subnet: 0,
+    universe: 0,
+    channel: 1,
+    group: null
+  }
+};
+
+const PROTOCOLS = ['artnet', 'sacn'];
+const LOSS_ACTIONS = ['hold', 'fade', 'preset'];
+
+// Get the input settings for a universe (Art-Net, HTP merged, holding on signal loss, unless configured otherwise).
+// sACN universes are numbered from 1, so port-address 0 listens on sACN universe 1 by default.
+function getUniverseInput(settings, portAddress) {
+  return {
+    protocol: 'artnet',
+    sacnUniverse: portAddress + 1,
+    merge: 'htp',
+    preferredSource: null, // Sender IP (or sACN CID) used in 'preferred' mode
+    failoverTimeout: FAILOVER_TIMEOUT,
+    signalTimeout: 5000, // ms without DMX before the loss action runs
+    lossAction: 'hold',
+    fadeTime: 3, // Seconds to fade to black
+    houseLook: null, // DMX levels recalled by the 'preset' loss action
+    smoothing: null, // Smoothing of DMX changes (see smoothing.js); off unless set
+    ...settings.universes[portAddress]
+  };
+}
+
+// Check the saved settings file, returning an error message or null if valid
+function validateSaved(saved) {
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+  const section = Object.keys(DEFAULT_SETTINGS).find(key => saved[key] !== undefined && !isObject(saved[key]));
+  return section ? `${section} must be an object` : null;
+}
+
+// The settings file is upgraded on read by each migration after the version it was saved with
+const SETTINGS_SCHEMA = {
+  migrations: [
+    // 1: settings saved before versioning are already in the current layout
+    saved => saved
+  ],
+  validate: validateSaved
+};
+
+// Read the saved settings file. A corrupt file is reported and treated as empty, so the defaults apply.
+async function readSaved() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(SETTINGS_FILE, 'utf-8'));
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error('not a JSON object');
+    }
+    const saved = migrateRecord(parsed, SETTINGS_SCHEMA);
+    const error = validateSaved(saved);
+    if (error) {
+      throw new Error(error);
+    }
+    clearProblem(SETTINGS_FILE);
+    return saved;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    reportProblem(SETTINGS_FILE, err);
+    return {};
+  }
+}
+
+// Write the saved settings, first keeping a copy of a corrupt file the write would replace
+async function writeSaved(saved) {
+  await fs.mkdir(SETTINGS_DIR, { recursive: true });
+  if (hasProblem(SETTINGS_FILE)) {
+    await fs.copyFile(SETTINGS_FILE, `${SETTINGS_FILE}.corrupt`);
+    console.warn(`Kept the corrupt settings file as ${SETTINGS_FILE}.corrupt`);
+    clearProblem(SETTINGS_FILE);
+  }
+  await writeJson(SETTINGS_FILE, stampRecord(saved, SETTINGS_SCHEMA));
+}
+
+// Fill in defaults for anything not saved yet
+function withDefaults(saved) {
+  const settings = {};
+  for (const section of Object.keys(DEFAULT_SETTINGS)) {
+    settings[section] = { ...DEFAULT_SETTINGS[section], ...saved[section] };
+  }
+  return settings;
+}
+
+// Read all settings, filling in defaults for anything not saved yet
+async function read() {
+  return withDefaults(await readSaved());
+}
+
+// Update one settings section
+async function update(section, updates) {
+  if (!DEFAULT_SETTINGS[section]) {
+    throw new Error(`Unknown settings section: ${section}`);
+  }
+
+  return withFileLock(SETTINGS_FILE, async () => {
+    const settings = await read();
+    settings[section] = { ...settings[section], ...updates };
+
+    await writeSaved(settings);
+    return settings;
+  });
+}
+
+// Replace one settings section, dropping saved fields the new value leaves out (they go back to their defaults)
+async function replace(section, value) {
+  if (!DEFAULT_SETTINGS[section]) {
+    throw new Error(`Unknown settings section: ${section}`);
+  }
+
+  return withFileLock(SETTINGS_FILE, async () => {
+    const saved = await readSaved();
+    saved[section] = value;
+
+    await writeSaved(saved);
+    return withDefaults(saved);
+  });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  PROTOCOLS,
+  LOSS_ACTIONS,
+  getUniverseInput,
+  read,
+  update,
+  replace
+};
@@ -0,0 +1,236 @@
+// Show files: the whole configuration (devices, groups, scenes and settings) bundled into one versioned JSON file
+
+const { isPersonality } = require('./personalities');
+const { validateUniverseFields, validateAddressRange } = require('./patch');
+const { validateDevice } = require('./storage');
+const { validateGroup } = require('./groups');
+const { validateScene, validateFixtureState, toPilotState } = require('./scenes');
+const { DEFAULT_SETTINGS } = require('./settings');
+
+const SHOW_FILE_FORMAT = 'wiz-artnet-show';
+const SHOW_FILE_VERSION = 1;
+
+// merge: add and update what's in the file, keeping everything else
+// replace: drop devices, groups and scenes that aren't in the file, and reset the file's settings sections
+// to exactly what it holds
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Network settings describe the machine rather than the show, so they stay behind when a show moves
+const SHOW_SETTINGS_SECTIONS = Object.keys(DEFAULT_SETTINGS).filter(section => section !== 'network');
+
+// IDs we generate for groups and scenes; anything else could point outside their directories
+const ID_PATTERN = /^[a-f0-9-]+$/;
+const MAC_PATTERN = /^[0-9a-fA-F:-]+$/;
+
+// Bundle the current configuration into a show file
+function buildShowFile({ devices, groups, scenes, settings }) {
+  const showSettings = {};
+  SHOW_SETTINGS_SECTIONS.forEach(section => {
+    showSettings[section] = settings[section];
+  });
+
+  return {
+    format: SHOW_FILE_FORMAT,
+    version: SHOW_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    devices,
+    groups,
+    scenes,
+    settings: showSettings
+  };
+}
+
+// Check a list in a show file, returning an error message or null if valid
+function validateList(items, label, key, checkItem) {
+  if (!Array.isArray(items)) {
+    return `${label} must be a list`;
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    if (typeof item !== 'object' || item === null) {
+      return `Each of ${label} must be an object`;
+    }
+    const error = checkItem(item);
+    if (error) {
+      return item[key] !== undefined ? `${label} ${item[key]}: ${error}` : `${label}: ${error}`;
+    }
+    if (seen.has(item[key])) {
+      return `${label} ${item[key]} appears more than once`;
+    }
+    seen.add(item[key]);
+  }
+
+  return null;
+}
+
+// Check a patch (a device's, or a patched group's): its personality, universe and address range
+function checkPatch(patch) {
+  if (!isPersonality(patch.type)) {
+    return `unknown fixture type ${patch.type}`;
+  }
+  return validateUniverseFields(patch) || validateAddressRange(patch);
+}
+
+// Each record must also pass its store's schema, or the files written would be skipped as corrupt
+function checkDevice(device) {
+  if (typeof device.macAddress !== 'string' || !MAC_PATTERN.test(device.macAddress)) {
+    return 'macAddress must be a MAC address';
+  }
+  return validateDevice(device) || checkPatch(device);
+}
+
+function checkGroup(group) {
+  if (typeof group.id !== 'string' || !ID_PATTERN.test(group.id)) {
+    return 'id is not a group ID';
+  }
+  const error = validateGroup(group);
+  if (error) {
+    return error;
+  }
+  if (!group.members.every(member => typeof member === 'string')) {
+    return 'members must be a list of MAC addresses';
+  }
+  return group.patch ? checkPatch(group.patch) : null;
+}
+
+function checkScene(scene) {
+  if (typeof scene.id !== 'string' || !ID_PATTERN.test(scene.id)) {
+    return 'id is not a scene ID';
+  }
+  const error = validateScene(scene);
+  if (error) {
+    return error;
+  }
+  for (const [macAddress, state] of Object.entries(scene.fixtures)) {
+    const error = validateFixtureState(state);
+    if (error) {
+      return `${macAddress} ${error}`;
+    }
+  }
+  return null;
+}
+
+// Check a show file's format and contents, returning an error message or null if valid.
+// Settings sections are checked by the same validators the settings API uses.
+function validateShowFile(show) {
+  if (typeof show !== 'object' || show === null || show.format !== SHOW_FILE_FORMAT) {
+    return 'Not a show file';
+  }
+  if (!Number.isInteger(show.version) || show.version < 1) {
+    return 'Show file has no valid version';
+  }
+  if (show.version > SHOW_FILE_VERSION) {
+    return `Show file version ${show.version} is newer than this controller supports (${SHOW_FILE_VERSION})`;
+  }
+
+  const listError = validateList(show.devices, 'devices', 'macAddress', checkDevice) ||
+    validateList(show.groups, 'groups', 'id', checkGroup) ||
+    validateList(show.scenes, 'scenes', 'id', checkScene);
+  if (listError) {
+    return listError;
+  }
+
+  if (typeof show.settings !== 'object' || show.settings === null || Array.isArray(show.settings)) {
+    return 'settings must be an object';
+  }
+  const unknown = Object.keys(show.settings).find(section => !SHOW_SETTINGS_SECTIONS.includes(section));
+  if (unknown) {
+    return `Unknown settings section: ${unknown}`;
+  }
+
+  return null;
+}
+
+// Bring a checked show file's records into the form they're stored in: scene fixtures as pilot states
+function normalizeShowFile(show) {
+  return {
+    ...show,
+    scenes: show.scenes.map(scene => {
+      const fixtures = {};
+      Object.entries(scene.fixtures).forEach(([macAddress, state]) => {
+        fixtures[macAddress] = toPilotState(state);
+      });
+      return { ...scene, fixtures };
+    })
+  };
+}
+
+// The devices and groups there will be once a show file is imported
+function getImportedRig(current, show, mode) {
+  const combine = (stored, incoming, key) => mode === 'replace'
+    ? incoming
+    : [...stored.filter(item => !incoming.some(other => other[key] === item[key])), ...incoming];
+
+  return {
+    devices: combine(current.devices, show.devices, 'macAddress'),
+    groups: combine(current.groups, show.groups, 'id')
+  };
+}
+
+// JSON with object keys sorted, so records compare equal whatever order their fields were written in
+function toComparable(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(toComparable).join(',')}]`;
+  }
+  if (typeof value === 'object' && value !== null) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toComparable(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Compare stored records with a show file's, by key
+function diffList(current, incoming, key, mode) {
+  const changes = { added: [], changed: [], removed: [], unchanged: 0 };
+  const describe = item => ({ [key]: item[key], name: item.name });
+
+  for (const item of incoming) {
+    const existing = current.find(other => other[key] === item[key]);
+    if (!existing) {
+      changes.added.push(describe(item));
+    } else if (toComparable(existing) !== toComparable(item)) {
+      changes.changed.push(describe(item));
+    } else {
+      changes.unchanged++;
+    }
+  }
+
+  if (mode === 'replace') {
+    changes.removed = current.filter(item => !incoming.some(other => other[key] === item[key])).map(describe);
+  }
+
+  return changes;
+}
+
+// Work out what importing a show file would change.
+// current holds the stored devices, groups, scenes and settings, as buildShowFile takes them.
+function diffShowFile(current, show, mode) {
+  const settingsChanged = SHOW_SETTINGS_SECTIONS.filter(section => {
+    if (show.settings[section] === undefined) {
+      return false;
+    }
+    const imported = mode === 'replace'
+      ? { ...DEFAULT_SETTINGS[section], ...show.settings[section] }
+      : { ...current.settings[section], ...show.settings[section] };
+    return toComparable(imported) !== toComparable(current.settings[section]);
+  });
+
+  return {
+    devices: diffList(current.devices, show.devices, 'macAddress', mode),
+    groups: diffList(current.groups, show.groups, 'id', mode),
+    scenes: diffList(current.scenes, show.scenes, 'id', mode),
+    settings: { changed: settingsChanged }
+  };
+}
+
+module.exports = {
+  SHOW_FILE_FORMAT,
+  SHOW_FILE_VERSION,
+  IMPORT_MODES,
+  SHOW_SETTINGS_SECTIONS,
+  buildShowFile,
+  validateShowFile,
+  normalizeShowFile,
+  getImportedRig,
+  diffShowFile
+};
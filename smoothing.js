@@ -0,0 +1,54 @@
+// Smoothing: gliding fixtures between successive DMX states instead of stepping at the send rate
+
+// off: send each new state as it arrives
+// interpolate: send intermediate states at the per-fixture send rate
+// native: send fewer states and let the bulb's own transition fade between them
+const SMOOTHING_MODES = ['off', 'interpolate', 'native'];
+
+const DEFAULT_SMOOTHING = {
+  mode: 'off',
+  time: 300, // ms to glide to a new state (native: least time between sends)
+  snapThreshold: 64 // A jump of at least this many DMX levels on any channel in one frame skips smoothing
+};
+
+// Resolve the smoothing a device uses: its own overrides on top of its universe's settings
+function getSmoothing(device, input) {
+  return { ...DEFAULT_SMOOTHING, ...input.smoothing, ...device.smoothing };
+}
+
+// Check smoothing settings (a universe's, or a device's overrides), returning an error message or null if valid
+function validateSmoothing(smoothing) {
+  if (typeof smoothing !== 'object' || smoothing === null || Array.isArray(smoothing)) {
+    return 'smoothing must be an object';
+  }
+  if (smoothing.mode !== undefined && !SMOOTHING_MODES.includes(smoothing.mode)) {
+    return `smoothing mode must be one of: ${SMOOTHING_MODES.join(', ')}`;
+  }
+  if (smoothing.time !== undefined &&
+      (!Number.isInteger(smoothing.time) || smoothing.time < 50 || smoothing.time > 10000)) {
+    return 'smoothing time must be between 50 and 10000 milliseconds';
+  }
+  if (smoothing.snapThreshold !== undefined &&
+      (!Number.isInteger(smoothing.snapThreshold) || smoothing.snapThreshold < 1 || smoothing.snapThreshold > 255)) {
+    return 'snapThreshold must be between 1 and 255';
+  }
+
+  return null;
+}
+
+// Whether a change in a fixture's channel values (keyed by channel function) is a bump or
+// blackout that should be shown at once rather than smoothed
+function isSnap(previous, values, snapThreshold) {
+  if (!previous) {
+    return true;
+  }
+  return Object.keys(values).some(func => Math.abs(values[func] - (previous[func] || 0)) >= snapThreshold);
+}
+
+module.exports = {
+  SMOOTHING_MODES,
+  DEFAULT_SMOOTHING,
+  getSmoothing,
+  validateSmoothing,
+  isSnap
+};
@@ -1,8 +1,34 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { withFileLock, migrateRecord, readRecord, readRecords, saveRecord, removeRecord } = require('./json-store');
 
 const DATA_DIR = path.join(__dirname, 'data');
 
+// Check a stored device, returning an error message or null if valid
+function validateDevice(device) {
+  if (typeof device.macAddress !== 'string' || device.macAddress === '') {
+    return 'macAddress is missing';
+  }
+  for (const field of ['ipAddress', 'name', 'type']) {
+    if (typeof device[field] !== 'string') {
+      return `${field} is missing`;
+    }
+  }
+  if (!Number.isInteger(device.channel)) {
+    return 'channel must be a whole number';
+  }
+  return null;
+}
+
+// Device records are upgraded on read by each migration after the version they were saved with
+const DEVICE_SCHEMA = {
+  migrations: [
+    // 1: devices saved before universe patching are on 0:0:0
+    device => ({ ...device, net: device.net || 0, subnet: device.subnet || 0, universe: device.universe || 0 })
+  ],
+  validate: validateDevice
+};
+
 // Ensure data directory exists
 async function ensureDataDir() {
   try {
@@ -24,95 +50,72 @@ async function create(device) {
   await ensureDataDir();
   const filePath = getFilePath(device.macAddress);
 
-  // Check if device already exists
-  try {
-    await fs.access(filePath);
-    throw new Error('Device with this MAC address already exists');
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err;
-  }
+  return withFileLock(filePath, async () => {
+    // Check if device already exists
+    try {
+      await fs.access(filePath);
+      throw new Error('Device with this MAC address already exists');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
 
-  await fs.writeFile(filePath, JSON.stringify(device, null, 2));
-  return device;
+    return saveRecord(filePath, device, DEVICE_SCHEMA);
+  });
 }
 
 // Read a device by MAC address
 async function read(macAddress) {
-  const filePath = getFilePath(macAddress);
-
-  try {
-    const data = await fs.readFile(filePath, 'utf-8');
-    return JSON.parse(data);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return null;
-    }
-    throw err;
-  }
+  return readRecord(getFilePath(macAddress), DEVICE_SCHEMA);
 }
 
-// Read all devices
+// Read all devices, skipping (and reporting) any whose file is corrupt
 async function readAll() {
   await ensureDataDir();
-
-  try {
-    const files = await fs.readdir(DATA_DIR);
-    const devices = [];
-
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const data = await fs.readFile(path.join(DATA_DIR, file), 'utf-8');
-        devices.push(JSON.parse(data));
-      }
-    }
-
-    return devices;
-  } catch (err) {
-    throw err;
-  }
+  return readRecords(DATA_DIR, DEVICE_SCHEMA);
 }
 
 // Update a device
 async function update(macAddress, updates) {
   const filePath = getFilePath(macAddress);
 
-  // Read existing device
-  const existing = await read(macAddress);
-  if (!existing) {
-    throw new Error('Device not found');
-  }
+  return withFileLock(filePath, async () => {
+    // Read existing device
+    const existing = await read(macAddress);
+    if (!existing) {
+      throw new Error('Device not found');
+    }
 
-  // Prevent MAC address changes
-  if (updates.macAddress && updates.macAddress !== macAddress) {
-    throw new Error('Cannot change MAC address');
-  }
+    // Prevent MAC address changes
+    if (updates.macAddress && updates.macAddress !== macAddress) {
+      throw new Error('Cannot change MAC address');
+    }
+
+    // Merge updates
+    return saveRecord(filePath, { ...existing, ...updates, macAddress }, DEVICE_SCHEMA);
+  });
+}
 
-  // Merge updates
-  const updated = { ...existing, ...updates, macAddress };
+// Write a device as given, replacing any stored one (used when importing a show file)
+async function save(device) {
+  await ensureDataDir();
+  const filePath = getFilePath(device.macAddress);
 
-  await fs.writeFile(filePath, JSON.stringify(updated, null, 2));
-  return updated;
+  return withFileLock(filePath, () => saveRecord(filePath, migrateRecord(device, DEVICE_SCHEMA), DEVICE_SCHEMA));
 }
 
 // Delete a device
 async function remove(macAddress) {
   const filePath = getFilePath(macAddress);
 
-  try {
-    await fs.unlink(filePath);
-    return true;
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      return false;
-    }
-    throw err;
-  }
+  return withFileLock(filePath, () => removeRecord(filePath));
 }
 
 module.exports = {
+  validateDevice,
   create,
   read,
   readAll,
   update,
+  save,
   remove
 };
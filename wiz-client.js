@@ -0,0 +1,120 @@
+const dgram = require('dgram');
+const settings = require('./settings');
+const { resolveInterfaceAddress } = require('./network');
+
+const WIZ_PORT = 38899;
+
+// The address to talk to fixtures from: the configured WiZ interface's, or any when none is set
+// (or it isn't up), as discovery and the Art-Net daemon do
+async function getLocalAddress() {
+  const { network } = await settings.read();
+  return resolveInterfaceAddress(network.wizInterface) || undefined;
+}
+
+// Send a request to a fixture and wait for its reply
+async function sendWizRequest(ipAddress, method, params = {}, timeout = 2000) {
+  const localAddress = await getLocalAddress();
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    const message = JSON.stringify({
+      method: method,
+      params: params
+    });
+
+    let finished = false;
+    let timer = null;
+
+    // Close the socket and settle the promise exactly once
+    const finish = (err, result) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      socket.close();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    };
+
+    socket.on('message', (msg, rinfo) => {
+      if (rinfo.address !== ipAddress) {
+        return;
+      }
+
+      try {
+        const response = JSON.parse(msg.toString());
+        if (response.method === method && response.result) {
+          finish(null, response.result);
+        }
+      } catch (err) {
+        // Ignore parse errors
+      }
+    });
+
+    socket.on('error', (err) => {
+      finish(err);
+    });
+
+    socket.bind(0, localAddress, () => {
+      socket.send(message, 0, message.length, WIZ_PORT, ipAddress, (err) => {
+        if (err) {
+          finish(err);
+        }
+      });
+    });
+
+    timer = setTimeout(() => {
+      finish(new Error(`${method} timeout`));
+    }, timeout);
+  });
+}
+
+// Send getPilot to retrieve current state
+function sendGetPilot(ipAddress, timeout = 2000) {
+  return sendWizRequest(ipAddress, 'getPilot', {}, timeout);
+}
+
+// Send getSystemConfig to retrieve module name, firmware version, etc.
+function sendGetSystemConfig(ipAddress, timeout = 2000) {
+  return sendWizRequest(ipAddress, 'getSystemConfig', {}, timeout);
+}
+
+// Send setPilot to control light
+async function sendSetPilot(ipAddress, params) {
+  const localAddress = await getLocalAddress();
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    const message = JSON.stringify({
+      id: 1,
+      method: 'setPilot',
+      params: params
+    });
+
+    socket.on('error', (err) => {
+      socket.close();
+      reject(err);
+    });
+
+    socket.bind(0, localAddress, () => {
+      socket.send(message, 0, message.length, WIZ_PORT, ipAddress, (err) => {
+        socket.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  WIZ_PORT,
+  sendWizRequest,
+  sendGetPilot,
+  sendGetSystemConfig,
+  sendSetPilot
+};
@@ -1,6 +1,27 @@
 const dgram = require('dgram');
+const { LIMITED_BROADCAST } = require('./network');
+const { sendGetSystemConfig } = require('./wiz-client');
+
+const SYSTEM_CONFIG_TIMEOUT = 1000; // How long to wait for each discovered fixture's module and firmware
+
+// Compare MAC addresses whatever their separators or case, e.g. "A8:BB:50:12:34:56" and "a8bb50123456"
+function getMacKey(macAddress) {
+  return macAddress.replace(/[:-]/g, '').toLowerCase();
+}
+
+// Write a MAC address the way devices are stored and the daemon matches them, e.g. "a8bb50123456" ->
+// "a8:bb:50:12:34:56". Returns null if it isn't a MAC address.
+function formatMacAddress(macAddress) {
+  const key = typeof macAddress === 'string' ? getMacKey(macAddress) : '';
+  return /^[0-9a-f]{12}$/.test(key) ? key.match(/.{2}/g).join(':') : null;
+}
+
+// Broadcast getPilot and collect the fixtures that answer. Scans each of broadcastAddresses
+// (e.g. directed subnet broadcasts), sending from localAddress when one is given. The broadcast
+// is repeated for the given number of rounds, spread over the timeout, to catch sleepy bulbs.
+async function discoverWizFixtures(timeoutMs = 3000, options = {}) {
+  const { broadcastAddresses = [LIMITED_BROADCAST], localAddress, rounds = 1 } = options;
 
-async function discoverWizFixtures(timeoutMs = 3000) {
   return new Promise((resolve, reject) => {
     const socket = dgram.createSocket('udp4');
     const discoveredDevices = [];
@@ -45,26 +66,98 @@ async function discoverWizFixtures(timeoutMs = 3000) {
         params: {}
       });
 
-      // Send broadcast message
-      socket.send(message, 0, message.length, 38899, '255.255.255.255', (err) => {
-        if (err) {
-          socket.close();
-          reject(err);
-        }
-      });
+      const roundTimers = [];
 
       // Set timeout to close socket and return results
-      setTimeout(() => {
+      const timer = setTimeout(() => {
+        roundTimers.forEach(clearTimeout);
         socket.close();
         resolve(discoveredDevices);
       }, timeoutMs);
+
+      // Send broadcast message to each address; only give up if none of them can be reached
+      const broadcast = () => {
+        let failures = 0;
+        broadcastAddresses.forEach(address => {
+          socket.send(message, 0, message.length, 38899, address, (err) => {
+            if (!err) {
+              return;
+            }
+            console.error(`Error broadcasting discovery to ${address}:`, err.message);
+            failures++;
+            if (failures === broadcastAddresses.length) {
+              clearTimeout(timer);
+              roundTimers.forEach(clearTimeout);
+              socket.close();
+              reject(err);
+            }
+          });
+        });
+      };
+
+      for (let round = 0; round < rounds; round++) {
+        roundTimers.push(setTimeout(broadcast, (round * timeoutMs) / rounds));
+      }
     });
 
     // Bind to a random port
-    socket.bind();
+    socket.bind(0, localAddress);
+  });
+}
+
+// Ask each discovered fixture for its module name and firmware version. Fixtures that don't
+// answer in time are left with nulls.
+async function addSystemConfig(discovered) {
+  return Promise.all(discovered.map(async device => {
+    try {
+      const config = await sendGetSystemConfig(device.ipAddress, SYSTEM_CONFIG_TIMEOUT);
+      return { ...device, moduleName: config.moduleName || null, fwVersion: config.fwVersion || null };
+    } catch (err) {
+      return { ...device, moduleName: null, fwVersion: null };
+    }
+  }));
+}
+
+// Match discovery results against the stored devices. Each discovered fixture is 'new', 'known'
+// or 'ipChanged' (with its stored name and previousIpAddress); stored devices that didn't answer
+// are returned as missing.
+function reconcileDiscovery(discovered, devices) {
+  const stored = new Map(devices.map(device => [getMacKey(device.macAddress), device]));
+  const answered = new Set();
+
+  const results = discovered.map(result => {
+    const key = getMacKey(result.macAddress);
+    const device = stored.get(key);
+    answered.add(key);
+
+    if (!device) {
+      return { ...result, status: 'new' };
+    }
+    return {
+      ...result,
+      macAddress: device.macAddress, // The stored form, so it can be used with the device API
+      name: device.name,
+      status: device.ipAddress === result.ipAddress ? 'known' : 'ipChanged',
+      previousIpAddress: device.ipAddress
+    };
   });
+
+  const missing = devices
+    .filter(device => !answered.has(getMacKey(device.macAddress)))
+    .map(device => ({
+      macAddress: device.macAddress,
+      ipAddress: device.ipAddress,
+      name: device.name,
+      status: 'missing'
+    }));
+
+  return { discovered: results, missing };
 }
 
 module.exports = {
-  discoverWizFixtures
+  getMacKey,
+  formatMacAddress,
+  discoverWizFixtures,
+  addSystemConfig,
+  reconcileDiscovery
 };